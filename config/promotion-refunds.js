@@ -0,0 +1,16 @@
+// Refund policy for cancelled promotions (see computeRefund in utils/promotions.js).
+// Each value can be overridden with an env var.
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = {
+  // 'prorated': refund the unused share of the current period; 'none': no refunds
+  policy: process.env.PROMOTION_REFUND_POLICY || 'prorated',
+  // Cancelling within this many hours of the period start refunds it in full
+  fullRefundHours: envNumber('PROMOTION_FULL_REFUND_HOURS', 24),
+  // Share of a prorated refund kept as a cancellation fee
+  cancellationFeePercent: envNumber('PROMOTION_CANCELLATION_FEE_PERCENT', 10)
+};
@@ -0,0 +1,46 @@
+// Rate limit buckets for public write endpoints (see middleware/rate-limit.js).
+// Each max can be overridden with an env var.
+
+const minutes = (n) => n * 60 * 1000;
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+module.exports = {
+  contact: {
+    prefix: 'contact',
+    windowMs: minutes(60),
+    max: envInt('RATE_LIMIT_CONTACT_MAX', 5)
+  },
+  signup: {
+    prefix: 'signup',
+    windowMs: minutes(60),
+    max: envInt('RATE_LIMIT_SIGNUP_MAX', 10)
+  },
+  login: {
+    prefix: 'login',
+    windowMs: minutes(15),
+    max: envInt('RATE_LIMIT_LOGIN_MAX', 20)
+  },
+  loginLockout: {
+    maxFailures: envInt('LOGIN_MAX_FAILURES', 5),
+    maxAccountFailures: envInt('LOGIN_MAX_ACCOUNT_FAILURES', 20),
+    windowMs: minutes(15),
+    lockoutMs: minutes(envInt('LOGIN_LOCKOUT_MINUTES', 15))
+  },
+  passwordEmail: {
+    prefix: 'auth-email',
+    windowMs: minutes(60),
+    max: envInt('RATE_LIMIT_AUTH_EMAIL_MAX', 5)
+  },
+  reviews: {
+    prefix: 'reviews',
+    keyBy: 'user',
+    windowMs: minutes(60),
+    max: envInt('RATE_LIMIT_REVIEWS_MAX', 10)
+  },
+  sponsoredClicks: {
+    prefix: 'sponsored-clicks',
+    windowMs: minutes(60),
+    max: envInt('RATE_LIMIT_SPONSORED_CLICKS_MAX', 100)
+  }
+};
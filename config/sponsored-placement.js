@@ -0,0 +1,15 @@
+// Sponsored placement in GET /api/vendors (see routes/vendors.js).
+// Positions (0-based) on the first result page where sponsored vendors are inserted,
+// highest package placement_priority first. Override with e.g. SPONSORED_SLOTS=0,3,8
+
+const parseSlots = (value) => value
+  .split(',')
+  .map(slot => parseInt(slot, 10))
+  .filter(slot => Number.isInteger(slot) && slot >= 0)
+  .sort((a, b) => a - b);
+
+module.exports = {
+  slots: parseSlots(process.env.SPONSORED_SLOTS || '0,4,9'),
+  // Featured vendors considered per request before picking the top tiers
+  candidateLimit: 50
+};
@@ -11,6 +11,16 @@ const supabase = createClient(supabaseUrl, supabaseAnonKey);
 // Create Supabase admin client for admin operations
 const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
 
+// Create a throwaway client for per-request auth calls (sign in, refresh, recovery)
+// so no user session is ever stored on the shared client above
+const createAuthClient = () => createClient(supabaseUrl, supabaseAnonKey, {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+    detectSessionInUrl: false
+  }
+});
+
 // Test database connection
 const testConnection = async () => {
   try {
@@ -35,5 +45,6 @@ const testConnection = async () => {
 module.exports = {
   supabase,
   supabaseAdmin,
+  createAuthClient,
   testConnection
 };
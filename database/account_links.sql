@@ -0,0 +1,30 @@
+-- Link vendors and vloggers records to the auth user that owns them
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE vloggers ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vendors_owner ON vendors(owner_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vloggers_user ON vloggers(user_id);
+
+-- Pick up the signup role from auth metadata (never 'admin')
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.user_profiles (id, email, full_name, role)
+  VALUES (
+    NEW.id,
+    NEW.email,
+    COALESCE(NEW.raw_user_meta_data->>'full_name', NEW.email),
+    CASE
+      WHEN NEW.raw_user_meta_data->>'role' IN ('vendor', 'vlogger') THEN NEW.raw_user_meta_data->>'role'
+      ELSE 'user'
+    END
+  )
+  ON CONFLICT (id) DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Let reviews embed the author's profile (reviews.user_id -> user_profiles.id)
+ALTER TABLE reviews DROP CONSTRAINT IF EXISTS reviews_user_profile_fkey;
+ALTER TABLE reviews ADD CONSTRAINT reviews_user_profile_fkey
+  FOREIGN KEY (user_id) REFERENCES user_profiles(id) ON DELETE CASCADE NOT VALID;
@@ -0,0 +1,20 @@
+-- Audit trail of admin changes (verification, suspension, role changes)
+CREATE TABLE IF NOT EXISTS admin_actions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  admin_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(50) NOT NULL,
+  target_id TEXT NOT NULL,
+  reason TEXT,
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_actions_target ON admin_actions(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_admin_actions_admin ON admin_actions(admin_id);
+
+ALTER TABLE admin_actions ENABLE ROW LEVEL SECURITY;
+
+-- Suspension details on profiles
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
@@ -0,0 +1,21 @@
+-- List a user's active auth sessions (auth.sessions is not exposed through the API)
+CREATE OR REPLACE FUNCTION public.get_user_sessions(p_user_id UUID)
+RETURNS TABLE (
+  id UUID,
+  created_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE,
+  refreshed_at TIMESTAMP WITHOUT TIME ZONE,
+  not_after TIMESTAMP WITH TIME ZONE,
+  user_agent TEXT,
+  ip TEXT
+) AS $$
+  SELECT s.id, s.created_at, s.updated_at, s.refreshed_at, s.not_after, s.user_agent, host(s.ip)
+  FROM auth.sessions s
+  WHERE s.user_id = p_user_id
+    AND (s.not_after IS NULL OR s.not_after > NOW())
+  ORDER BY COALESCE(s.refreshed_at, s.updated_at, s.created_at) DESC;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Only the service role (server) may call it
+REVOKE EXECUTE ON FUNCTION public.get_user_sessions(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_user_sessions(UUID) TO service_role;
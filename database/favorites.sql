@@ -0,0 +1,61 @@
+-- Favourite vendors and named, ordered vendor lists that can be shared by public slug
+CREATE TABLE IF NOT EXISTS favorites (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, vendor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_favorites_vendor ON favorites(vendor_id);
+
+CREATE TABLE IF NOT EXISTS vendor_lists (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  slug VARCHAR(140) NOT NULL UNIQUE,
+  is_public BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_lists_user ON vendor_lists(user_id);
+
+CREATE TABLE IF NOT EXISTS vendor_list_items (
+  list_id UUID NOT NULL REFERENCES vendor_lists(id) ON DELETE CASCADE,
+  vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  note TEXT,
+  added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (list_id, vendor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_list_items_position ON vendor_list_items(list_id, position);
+
+ALTER TABLE favorites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vendor_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vendor_list_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own favorites" ON favorites;
+CREATE POLICY "Users can manage own favorites" ON favorites
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own lists" ON vendor_lists;
+CREATE POLICY "Users can manage own lists" ON vendor_lists
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Anyone can view public lists" ON vendor_lists;
+CREATE POLICY "Anyone can view public lists" ON vendor_lists
+  FOR SELECT USING (is_public);
+
+DROP POLICY IF EXISTS "Users can manage items in own lists" ON vendor_list_items;
+CREATE POLICY "Users can manage items in own lists" ON vendor_list_items
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM vendor_lists l WHERE l.id = list_id AND l.user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Anyone can view items in public lists" ON vendor_list_items;
+CREATE POLICY "Anyone can view items in public lists" ON vendor_list_items
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM vendor_lists l WHERE l.id = list_id AND l.is_public)
+  );
@@ -0,0 +1,5 @@
+-- Scheduled promotion jobs: expiry sweep and one pre-expiry reminder per promotion
+ALTER TABLE vendor_promotions ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_promotions_status_end ON vendor_promotions(status, end_date);
+CREATE INDEX IF NOT EXISTS idx_vendors_featured_until ON vendors(featured_until) WHERE is_featured;
@@ -0,0 +1,47 @@
+-- Promotion packages as data: admins manage them, purchases take price and duration from here
+CREATE TABLE IF NOT EXISTS promotion_packages (
+  id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0), -- INR
+  duration_days INTEGER NOT NULL CHECK (duration_days > 0),
+  features JSONB NOT NULL DEFAULT '[]'::jsonb,
+  color VARCHAR(20),
+  popular BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_packages_active ON promotion_packages(is_active, display_order);
+
+ALTER TABLE promotion_packages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view active packages" ON promotion_packages;
+CREATE POLICY "Anyone can view active packages" ON promotion_packages
+  FOR SELECT USING (is_active);
+
+-- The packages previously hard-coded in routes/vendor-promotions.js
+INSERT INTO promotion_packages (id, name, price, duration_days, features, color, popular, display_order) VALUES
+  ('basic', 'Basic Boost', 2999, 30,
+    '["Featured in search results", "Homepage banner (2 days)", "Social media mentions", "Basic analytics"]',
+    'blue', false, 1),
+  ('premium', 'Premium Push', 7999, 90,
+    '["Top search placement", "Homepage banner (1 week)", "Vlogger collaboration priority", "Advanced analytics", "Customer review highlights"]',
+    'orange', true, 2),
+  ('ultimate', 'Ultimate Exposure', 19999, 180,
+    '["Premium placement everywhere", "Dedicated promotion page", "Guaranteed vlogger partnerships", "Complete analytics suite", "Personal account manager"]',
+    'purple', false, 3)
+ON CONFLICT (id) DO NOTHING;
+
+-- Purchases record the duration they were sold with
+ALTER TABLE vendor_promotions ADD COLUMN IF NOT EXISTS duration_days INTEGER;
+
+UPDATE vendor_promotions
+SET duration_days = CASE package_duration
+  WHEN '1 Month' THEN 30
+  WHEN '3 Months' THEN 90
+  WHEN '6 Months' THEN 180
+END
+WHERE duration_days IS NULL;
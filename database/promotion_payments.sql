@@ -0,0 +1,52 @@
+-- Promotion purchases go through a payment provider: pending_payment until the payment is verified
+ALTER TABLE vendor_promotions ADD COLUMN IF NOT EXISTS payment_provider VARCHAR(20);
+ALTER TABLE vendor_promotions ADD COLUMN IF NOT EXISTS payment_order_id VARCHAR(100);
+ALTER TABLE vendor_promotions ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_promotions_order ON vendor_promotions(payment_order_id);
+
+-- NOT VALID: existing rows keep whatever values they have, new writes are checked
+ALTER TABLE vendor_promotions DROP CONSTRAINT IF EXISTS vendor_promotions_status_check;
+ALTER TABLE vendor_promotions ADD CONSTRAINT vendor_promotions_status_check
+  CHECK (status IN ('pending_payment', 'active', 'expired', 'cancelled')) NOT VALID;
+
+ALTER TABLE vendor_promotions DROP CONSTRAINT IF EXISTS vendor_promotions_payment_status_check;
+ALTER TABLE vendor_promotions ADD CONSTRAINT vendor_promotions_payment_status_check
+  CHECK (payment_status IN ('pending', 'completed', 'failed', 'refunded')) NOT VALID;
+
+-- One open checkout per vendor, so several purchases can't be paid at once; older
+-- duplicates left from before the rule are cancelled
+UPDATE vendor_promotions p
+SET status = 'cancelled', cancelled_at = NOW()
+WHERE p.status = 'pending_payment'
+  AND EXISTS (
+    SELECT 1 FROM vendor_promotions newer
+    WHERE newer.vendor_id = p.vendor_id
+      AND newer.status = 'pending_payment'
+      AND (newer.created_at, newer.id) > (p.created_at, p.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_promotions_one_pending
+  ON vendor_promotions(vendor_id) WHERE status = 'pending_payment';
+
+-- Older purchases stored the vendor user's id in vendor_id; point them at the owned vendor
+UPDATE vendor_promotions p
+SET vendor_id = v.id
+FROM vendors v
+WHERE v.owner_id::text = p.vendor_id::text
+  AND NOT EXISTS (SELECT 1 FROM vendors existing WHERE existing.id::text = p.vendor_id::text);
+
+-- Webhook deliveries already handled, so replays are ignored
+CREATE TABLE IF NOT EXISTS payment_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  event_id VARCHAR(150) NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  order_id VARCHAR(100),
+  payment_id VARCHAR(100),
+  payload JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,29 @@
+-- Promotion upgrades, renewals, auto-renew and refunds, with a ledger of money movements
+ALTER TABLE vendor_promotions ADD COLUMN IF NOT EXISTS auto_renew BOOLEAN NOT NULL DEFAULT false;
+-- What the current period (start_date..end_date) is worth; refunds are prorated from it
+ALTER TABLE vendor_promotions ADD COLUMN IF NOT EXISTS period_value DECIMAL(10,2);
+ALTER TABLE vendor_promotions ADD COLUMN IF NOT EXISTS refund_amount DECIMAL(10,2);
+
+UPDATE vendor_promotions SET period_value = package_price WHERE period_value IS NULL;
+
+CREATE TABLE IF NOT EXISTS promotion_transactions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  promotion_id UUID NOT NULL REFERENCES vendor_promotions(id) ON DELETE CASCADE,
+  vendor_id UUID NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('purchase', 'upgrade', 'renewal', 'refund')),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0), -- INR charged, or refunded for type refund
+  credit DECIMAL(10,2) NOT NULL DEFAULT 0, -- unused value carried over by an upgrade
+  package_id VARCHAR(50),
+  provider VARCHAR(20),
+  order_id VARCHAR(100) UNIQUE,
+  payment_id VARCHAR(100), -- charge paid, or charge refunded for type refund
+  refund_id VARCHAR(100),
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_transactions_promotion ON promotion_transactions(promotion_id, created_at);
+
+ALTER TABLE promotion_transactions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,15 @@
+-- One review per user per vendor, edit tracking and vendor replies
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS vendor_reply TEXT;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS vendor_reply_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS vendor_reply_at TIMESTAMP WITH TIME ZONE;
+
+-- Keep only the latest review where users already posted several for the same vendor
+-- (ties on created_at are broken by id so exactly one row survives)
+DELETE FROM reviews r
+USING reviews newer
+WHERE r.user_id = newer.user_id
+  AND r.vendor_id = newer.vendor_id
+  AND (r.created_at, r.id) < (newer.created_at, newer.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_user_vendor ON reviews(user_id, vendor_id);
@@ -0,0 +1,71 @@
+-- Review moderation: automatic flags, user reports and admin decisions
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+  CHECK (status IN ('published', 'flagged', 'hidden'));
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS flag_reasons TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS moderation_notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status);
+
+CREATE TABLE IF NOT EXISTS review_reports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  reporter_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('spam', 'offensive', 'fake', 'irrelevant', 'other')),
+  details TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (review_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_reports_review ON review_reports(review_id);
+
+ALTER TABLE review_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can report reviews" ON review_reports;
+CREATE POLICY "Users can report reviews" ON review_reports
+  FOR INSERT WITH CHECK (auth.uid() = reporter_id);
+
+DROP POLICY IF EXISTS "Users can view own reports" ON review_reports;
+CREATE POLICY "Users can view own reports" ON review_reports
+  FOR SELECT USING (auth.uid() = reporter_id);
+
+-- Only published reviews count towards vendor ratings
+CREATE OR REPLACE FUNCTION public.refresh_vendor_rating(p_vendor_id vendors.id%TYPE)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE vendors v
+  SET
+    rating = COALESCE(stats.average, 0),
+    review_count = COALESCE(stats.total, 0),
+    rating_distribution = jsonb_build_object(
+      '1', COALESCE(stats.ones, 0),
+      '2', COALESCE(stats.twos, 0),
+      '3', COALESCE(stats.threes, 0),
+      '4', COALESCE(stats.fours, 0),
+      '5', COALESCE(stats.fives, 0)
+    )
+  FROM (
+    SELECT
+      ROUND(AVG(r.rating)::numeric, 2) AS average,
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE r.rating = 1) AS ones,
+      COUNT(*) FILTER (WHERE r.rating = 2) AS twos,
+      COUNT(*) FILTER (WHERE r.rating = 3) AS threes,
+      COUNT(*) FILTER (WHERE r.rating = 4) AS fours,
+      COUNT(*) FILTER (WHERE r.rating = 5) AS fives
+    FROM reviews r
+    WHERE r.vendor_id = p_vendor_id
+      AND r.status = 'published'
+  ) AS stats
+  WHERE v.id = p_vendor_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Publishing, flagging or hiding a review changes the aggregates too
+DROP TRIGGER IF EXISTS on_review_change ON reviews;
+CREATE TRIGGER on_review_change
+  AFTER INSERT OR DELETE OR UPDATE OF vendor_id, rating, status ON reviews
+  FOR EACH ROW EXECUTE FUNCTION public.handle_review_change();
+
+SELECT public.refresh_vendor_rating(id) FROM vendors;
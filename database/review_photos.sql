@@ -0,0 +1,5 @@
+-- Review photos are media rows linked to the review, with a thumbnail
+ALTER TABLE media ADD COLUMN IF NOT EXISTS review_id UUID REFERENCES reviews(id) ON DELETE CASCADE;
+ALTER TABLE media ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_media_review ON media(review_id);
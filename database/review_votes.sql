@@ -0,0 +1,59 @@
+-- Helpful/unhelpful votes on reviews, one per user per review, with counts kept on reviews
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS helpful_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS unhelpful_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS review_votes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  helpful BOOLEAN NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (review_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_votes_review ON review_votes(review_id);
+
+ALTER TABLE review_votes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view review votes" ON review_votes;
+CREATE POLICY "Anyone can view review votes" ON review_votes
+  FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Users can manage own review votes" ON review_votes;
+CREATE POLICY "Users can manage own review votes" ON review_votes
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.refresh_review_votes(p_review_id reviews.id%TYPE)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE reviews r
+  SET
+    helpful_count = stats.helpful,
+    unhelpful_count = stats.unhelpful
+  FROM (
+    SELECT
+      COUNT(*) FILTER (WHERE v.helpful) AS helpful,
+      COUNT(*) FILTER (WHERE NOT v.helpful) AS unhelpful
+    FROM review_votes v
+    WHERE v.review_id = p_review_id
+  ) AS stats
+  WHERE r.id = p_review_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.handle_review_vote_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM public.refresh_review_votes(COALESCE(NEW.review_id, OLD.review_id));
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_review_vote_change ON review_votes;
+CREATE TRIGGER on_review_vote_change
+  AFTER INSERT OR UPDATE OR DELETE ON review_votes
+  FOR EACH ROW EXECUTE FUNCTION public.handle_review_vote_change();
+
+CREATE INDEX IF NOT EXISTS idx_reviews_vendor_helpful ON reviews(vendor_id, helpful_count DESC);
+CREATE INDEX IF NOT EXISTS idx_reviews_vendor_rating ON reviews(vendor_id, rating);
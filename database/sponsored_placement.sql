@@ -0,0 +1,33 @@
+-- Sponsored placement in vendor listings: package tiers and per-promotion daily counters
+ALTER TABLE promotion_packages ADD COLUMN IF NOT EXISTS placement_priority INTEGER NOT NULL DEFAULT 0;
+
+UPDATE promotion_packages SET placement_priority = 1 WHERE id = 'basic' AND placement_priority = 0;
+UPDATE promotion_packages SET placement_priority = 2 WHERE id = 'premium' AND placement_priority = 0;
+UPDATE promotion_packages SET placement_priority = 3 WHERE id = 'ultimate' AND placement_priority = 0;
+
+CREATE TABLE IF NOT EXISTS promotion_stats (
+  promotion_id UUID NOT NULL REFERENCES vendor_promotions(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  impressions BIGINT NOT NULL DEFAULT 0,
+  clicks BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (promotion_id, day)
+);
+
+ALTER TABLE promotion_stats ENABLE ROW LEVEL SECURITY;
+
+-- Add one impression or click to each promotion's counter for today
+CREATE OR REPLACE FUNCTION public.record_promotion_events(p_promotion_ids UUID[], p_kind TEXT)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO promotion_stats (promotion_id, day, impressions, clicks)
+  SELECT id, CURRENT_DATE,
+    CASE WHEN p_kind = 'impression' THEN 1 ELSE 0 END,
+    CASE WHEN p_kind = 'click' THEN 1 ELSE 0 END
+  FROM unnest(p_promotion_ids) AS id
+  ON CONFLICT (promotion_id, day) DO UPDATE SET
+    impressions = promotion_stats.impressions + EXCLUDED.impressions,
+    clicks = promotion_stats.clicks + EXCLUDED.clicks;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE INDEX IF NOT EXISTS idx_vendors_featured ON vendors(is_featured, featured_until);
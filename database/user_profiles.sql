@@ -3,7 +3,7 @@ CREATE TABLE IF NOT EXISTS user_profiles (
   id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
   email VARCHAR(255) NOT NULL,
   full_name VARCHAR(255),
-  role VARCHAR(20) NOT NULL CHECK (role IN ('vlogger', 'vendor')),
+  role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'vlogger', 'vendor', 'admin')),
   phone VARCHAR(20),
   profile_image_url TEXT,
   bio TEXT,
@@ -31,6 +31,12 @@ CREATE TABLE IF NOT EXISTS user_profiles (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Allow regular users and admins on existing installs (auth middleware reads role from here)
+ALTER TABLE user_profiles ALTER COLUMN role SET DEFAULT 'user';
+ALTER TABLE user_profiles DROP CONSTRAINT IF EXISTS user_profiles_role_check;
+ALTER TABLE user_profiles ADD CONSTRAINT user_profiles_role_check
+  CHECK (role IN ('user', 'vlogger', 'vendor', 'admin'));
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_user_profiles_role ON user_profiles(role);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_city ON user_profiles(location_city);
@@ -0,0 +1,65 @@
+-- Vendor claims: a vendor-role user asks to take over an unowned listing, with proof documents
+CREATE TABLE IF NOT EXISTS vendor_claims (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+  claimant_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  message TEXT,
+  contact_phone VARCHAR(20),
+  reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One open claim per user per vendor
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_claims_pending
+  ON vendor_claims(vendor_id, claimant_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_vendor_claims_status ON vendor_claims(status, created_at);
+
+ALTER TABLE vendor_claims ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own claims" ON vendor_claims;
+CREATE POLICY "Users can view own claims" ON vendor_claims
+  FOR SELECT USING (auth.uid() = claimant_id);
+
+DROP POLICY IF EXISTS "Users can create own claims" ON vendor_claims;
+CREATE POLICY "Users can create own claims" ON vendor_claims
+  FOR INSERT WITH CHECK (auth.uid() = claimant_id);
+
+-- Proof documents are media rows linked to the claim
+ALTER TABLE media ADD COLUMN IF NOT EXISTS claim_id UUID REFERENCES vendor_claims(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_media_claim ON media(claim_id);
+
+-- Documents live in a private bucket and are served through signed URLs, so their media
+-- rows keep only the storage path (file_name)
+ALTER TABLE media ALTER COLUMN url DROP NOT NULL;
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('documents', 'documents', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- In-app notifications (claim outcomes and other account events)
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  data JSONB,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own notifications" ON notifications;
+CREATE POLICY "Users can view own notifications" ON notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can mark own notifications read" ON notifications;
+CREATE POLICY "Users can mark own notifications read" ON notifications
+  FOR UPDATE USING (auth.uid() = user_id);
@@ -0,0 +1,2 @@
+-- Speeds up nearby and map viewport queries on vendors
+CREATE INDEX IF NOT EXISTS idx_vendors_lat_lng ON vendors(latitude, longitude);
@@ -0,0 +1,77 @@
+-- Structured vendor menus: dishes with INR prices, diet type, spice level and a photo
+CREATE TABLE IF NOT EXISTS menu_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  category VARCHAR(100),
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0), -- INR
+  diet VARCHAR(20) NOT NULL DEFAULT 'veg' CHECK (diet IN ('veg', 'non_veg', 'jain')),
+  spice_level SMALLINT NOT NULL DEFAULT 0 CHECK (spice_level BETWEEN 0 AND 3),
+  is_available BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_vendor ON menu_items(vendor_id, category, sort_order);
+
+ALTER TABLE menu_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view menu items" ON menu_items;
+CREATE POLICY "Anyone can view menu items" ON menu_items
+  FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Vendor owners can manage menu items" ON menu_items;
+CREATE POLICY "Vendor owners can manage menu items" ON menu_items
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM vendors v WHERE v.id = vendor_id AND v.owner_id = auth.uid())
+  );
+
+-- Dish photos are media rows linked to the menu item
+ALTER TABLE media ADD COLUMN IF NOT EXISTS menu_item_id UUID REFERENCES menu_items(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_media_menu_item ON media(menu_item_id);
+
+-- Menu summary on vendors for list filters: dish names and whether every dish is vegetarian
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS menu_dishes TEXT;
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS is_pure_veg BOOLEAN NOT NULL DEFAULT false;
+
+CREATE OR REPLACE FUNCTION public.refresh_vendor_menu(p_vendor_id vendors.id%TYPE)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE vendors v
+  SET
+    menu_dishes = stats.dishes,
+    is_pure_veg = COALESCE(stats.total > 0 AND stats.non_veg = 0, false)
+  FROM (
+    SELECT
+      lower(string_agg(m.name, ' | ')) AS dishes,
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE m.diet = 'non_veg') AS non_veg
+    FROM menu_items m
+    WHERE m.vendor_id = p_vendor_id
+  ) AS stats
+  WHERE v.id = p_vendor_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.handle_menu_item_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM public.refresh_vendor_menu(OLD.vendor_id);
+  END IF;
+  IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.vendor_id IS DISTINCT FROM OLD.vendor_id) THEN
+    PERFORM public.refresh_vendor_menu(NEW.vendor_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_menu_item_change ON menu_items;
+CREATE TRIGGER on_menu_item_change
+  AFTER INSERT OR UPDATE OR DELETE ON menu_items
+  FOR EACH ROW EXECUTE FUNCTION public.handle_menu_item_change();
+
+CREATE INDEX IF NOT EXISTS idx_vendors_menu_dishes ON vendors USING GIN (menu_dishes gin_trgm_ops);
@@ -0,0 +1,59 @@
+-- Rating aggregates stored on vendors and kept in sync with reviews by trigger
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS rating_distribution JSONB NOT NULL
+  DEFAULT '{"1": 0, "2": 0, "3": 0, "4": 0, "5": 0}'::jsonb;
+
+CREATE OR REPLACE FUNCTION public.refresh_vendor_rating(p_vendor_id vendors.id%TYPE)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE vendors v
+  SET
+    rating = COALESCE(stats.average, 0),
+    review_count = COALESCE(stats.total, 0),
+    rating_distribution = jsonb_build_object(
+      '1', COALESCE(stats.ones, 0),
+      '2', COALESCE(stats.twos, 0),
+      '3', COALESCE(stats.threes, 0),
+      '4', COALESCE(stats.fours, 0),
+      '5', COALESCE(stats.fives, 0)
+    )
+  FROM (
+    SELECT
+      ROUND(AVG(r.rating)::numeric, 2) AS average,
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE r.rating = 1) AS ones,
+      COUNT(*) FILTER (WHERE r.rating = 2) AS twos,
+      COUNT(*) FILTER (WHERE r.rating = 3) AS threes,
+      COUNT(*) FILTER (WHERE r.rating = 4) AS fours,
+      COUNT(*) FILTER (WHERE r.rating = 5) AS fives
+    FROM reviews r
+    WHERE r.vendor_id = p_vendor_id
+  ) AS stats
+  WHERE v.id = p_vendor_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.handle_review_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM public.refresh_vendor_rating(OLD.vendor_id);
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') AND (TG_OP = 'INSERT' OR NEW.vendor_id IS DISTINCT FROM OLD.vendor_id OR NEW.rating IS DISTINCT FROM OLD.rating) THEN
+    PERFORM public.refresh_vendor_rating(NEW.vendor_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only changes that affect the aggregates fire the refresh; other column updates
+-- (e.g. counters maintained by other triggers) don't rescan the vendor's reviews
+DROP TRIGGER IF EXISTS on_review_change ON reviews;
+CREATE TRIGGER on_review_change
+  AFTER INSERT OR DELETE OR UPDATE OF vendor_id, rating ON reviews
+  FOR EACH ROW EXECUTE FUNCTION public.handle_review_change();
+
+-- Backfill existing vendors
+SELECT public.refresh_vendor_rating(id) FROM vendors;
+
+CREATE INDEX IF NOT EXISTS idx_reviews_vendor ON reviews(vendor_id);
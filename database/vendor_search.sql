@@ -0,0 +1,27 @@
+-- Lowercased text across name, description, cuisine and specialties for vendor search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+CREATE OR REPLACE FUNCTION public.update_vendor_search_text()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_text = lower(
+    COALESCE(NEW.name, '') || ' ' ||
+    COALESCE(NEW.description, '') || ' ' ||
+    COALESCE(NEW.cuisine_type, '') || ' ' ||
+    COALESCE(array_to_string(NEW.specialties, ' '), '')
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_vendors_search_text ON vendors;
+CREATE TRIGGER update_vendors_search_text
+  BEFORE INSERT OR UPDATE OF name, description, cuisine_type, specialties ON vendors
+  FOR EACH ROW EXECUTE FUNCTION public.update_vendor_search_text();
+
+-- Backfill existing rows
+UPDATE vendors SET name = name WHERE search_text IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vendors_search_text ON vendors USING GIN (search_text gin_trgm_ops);
@@ -0,0 +1,14 @@
+const { runJob } = require('../utils/scheduler');
+
+// Netlify scheduled function (see netlify.toml): serverless instances can't keep
+// node-cron timers alive, and the Netlify API (functions/api.js -> server-minimal.js)
+// doesn't mount the admin run-job route, so this is the only way jobs run there
+module.exports.handler = async () => {
+  try {
+    const result = await runJob('promotions');
+    return { statusCode: 200, body: JSON.stringify({ success: true, result }) };
+  } catch (error) {
+    console.error('Promotion jobs error:', error);
+    return { statusCode: 500, body: JSON.stringify({ success: false, message: error.message }) };
+  }
+};
@@ -0,0 +1,99 @@
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+// Extract the Bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice(7).trim() || null;
+};
+
+// @desc    Verify the Bearer token (if present) and attach req.user
+//          Public routes still work without a token; use requireAuth/requireRole to protect routes
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return next();
+    }
+
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      req.authError = 'Invalid token';
+      return next();
+    }
+
+    // Role comes from the profile table, defaulting to a regular user.
+    // Read with the service client: RLS hides inactive profiles from anon
+    const { data: profile } = await supabaseAdmin
+      .from('user_profiles')
+      .select('*')
+      .eq('id', user.id)
+      .single();
+
+    // Suspended accounts are treated as signed out everywhere
+    if (profile && profile.is_active === false) {
+      req.authError = 'Account suspended hai. Please support se contact karein.';
+      req.authStatus = 403;
+      return next();
+    }
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      role: profile?.role || 'user',
+      profile: profile || null
+    };
+    req.token = token;
+
+    next();
+
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    req.authError = 'Invalid token';
+    next();
+  }
+};
+
+// @desc    Reject the request unless a valid user is attached
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(req.authStatus || 401).json({
+      success: false,
+      message: req.authError || 'Authentication required'
+    });
+  }
+
+  next();
+};
+
+// @desc    Reject the request unless the user has one of the given roles
+//          e.g. requireRole('admin') or requireRole('vendor', 'admin')
+const requireRole = (...roles) => {
+  const label = roles
+    .map(role => role.charAt(0).toUpperCase() + role.slice(1))
+    .join(' or ');
+
+  return (req, res, next) => {
+    requireAuth(req, res, () => {
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: `${label} access required`
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  getBearerToken,
+  authenticate,
+  requireAuth,
+  requireRole
+};
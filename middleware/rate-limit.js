@@ -0,0 +1,160 @@
+// Rate limiting for public write endpoints.
+//
+// Counters live in a store with this interface (all methods may be async):
+//   increment(key, windowMs) -> { count, resetAt }   starts a new window when the old one expired
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)
+// The default in-memory store is per process; pass a shared store (e.g. Redis-backed)
+// when running several instances or on serverless platforms.
+
+// @desc    In-memory counter store with fixed windows
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired windows so the map doesn't grow forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    increment: (key, windowMs) => {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    get: (key) => {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    reset: (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+const defaultStore = createMemoryStore();
+
+// Resolve the client key: the user id when authenticated (keyBy 'user'), else the IP
+const clientKey = (req, keyBy) => {
+  if (typeof keyBy === 'function') {
+    return keyBy(req);
+  }
+  if (keyBy === 'user' && req.user) {
+    return `user:${req.user.id}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+const sendLimited = (res, resetAt, message) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({
+    success: false,
+    message
+  });
+};
+
+// @desc    Allow at most `max` requests per `windowMs` for each client
+//          keyBy: 'ip' (default), 'user' (falls back to IP when anonymous) or (req) => key
+const rateLimit = ({
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  keyBy = 'ip',
+  prefix = 'global',
+  store = defaultStore,
+  message = 'Bahut zyada requests! Please thodi der baad try karein.'
+} = {}) => async (req, res, next) => {
+  try {
+    const key = `${prefix}:${clientKey(req, keyBy)}`;
+    const { count, resetAt } = await store.increment(key, windowMs);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+    res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+
+    if (count > max) {
+      return sendLimited(res, resetAt, message);
+    }
+
+    next();
+
+  } catch (error) {
+    // Never block traffic because the limiter store is unavailable
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+// @desc    Lock logins out after repeated failures, with two counters: per account/IP pair
+//          (maxFailures) and per account across all IPs (maxAccountFailures, higher, so an
+//          attacker rotating IPs is still stopped). Counts 401 responses from the wrapped
+//          route; a successful login clears both counts.
+const loginLockout = ({
+  maxFailures = 5,
+  maxAccountFailures = 20,
+  windowMs = 15 * 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  store = defaultStore
+} = {}) => async (req, res, next) => {
+  try {
+    const email = String(req.body?.email || '').toLowerCase();
+    const counters = [
+      { failKey: `login-fail:${email}:${req.ip}`, lockKey: `login-lock:${email}:${req.ip}`, max: maxFailures },
+      { failKey: `login-fail-account:${email}`, lockKey: `login-lock-account:${email}`, max: maxAccountFailures }
+    ];
+
+    for (const { lockKey } of counters) {
+      const lock = await store.get(lockKey);
+      if (lock) {
+        return sendLimited(res, lock.resetAt, 'Bahut saare failed login attempts. Account temporarily locked hai, baad mein try karein.');
+      }
+    }
+
+    res.on('finish', async () => {
+      try {
+        for (const { failKey, lockKey, max } of counters) {
+          if (res.statusCode === 401) {
+            const { count } = await store.increment(failKey, windowMs);
+            if (count >= max) {
+              await store.increment(lockKey, lockoutMs);
+              await store.reset(failKey);
+            }
+          } else if (res.statusCode < 400) {
+            await store.reset(failKey);
+          }
+        }
+      } catch (error) {
+        console.error('Login lockout error:', error);
+      }
+    });
+
+    next();
+
+  } catch (error) {
+    console.error('Login lockout error:', error);
+    next();
+  }
+};
+
+module.exports = {
+  createMemoryStore,
+  rateLimit,
+  loginLockout
+};
@@ -0,0 +1,192 @@
+// Schema-based request validation.
+//
+// A schema maps request locations (params, query, body) to field rules:
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object',
+//     required, min, max, enum, pattern, format: 'email' | 'url' | 'uuid' | 'id',
+//     items (rule for array items), default, clamp (clamp numbers to min/max) }
+// For strings and arrays min/max are lengths; for numbers they are values.
+// Values from query strings and multipart bodies are coerced to the declared type.
+
+const MAX_PAGE_LIMIT = 100;
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  url: /^https?:\/\/[^\s]+$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  // Row ids: UUIDs or serial integers
+  id: /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\d+)$/i
+};
+
+// Convert strings from query/multipart input to the declared type
+const coerce = (value, type) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (type === 'number' || type === 'integer') {
+    return value.trim() === '' ? NaN : Number(value);
+  }
+
+  if (type === 'boolean') {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+  }
+
+  if (type === 'array' || type === 'object') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  return value;
+};
+
+// Check a single value against a rule; returns { value, error }
+const checkValue = (field, rawValue, rule) => {
+  const { type = 'string' } = rule;
+  let value = coerce(rawValue, type);
+
+  if (type === 'string') {
+    if (typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    if (rule.min !== undefined && value.length < rule.min) {
+      return { error: `${field} must be at least ${rule.min} characters` };
+    }
+    if (rule.max !== undefined && value.length > rule.max) {
+      return { error: `${field} must be at most ${rule.max} characters` };
+    }
+    if (rule.format && !FORMATS[rule.format].test(value)) {
+      return { error: `${field} must be a valid ${rule.format}` };
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { error: `${field} is not in a valid format` };
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: `${field} must be a number` };
+    }
+    if (type === 'integer' && !Number.isInteger(value)) {
+      return { error: `${field} must be an integer` };
+    }
+    if (rule.clamp) {
+      if (rule.min !== undefined) value = Math.max(value, rule.min);
+      if (rule.max !== undefined) value = Math.min(value, rule.max);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: `${field} must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `${field} must be at most ${rule.max}` };
+    }
+  }
+
+  if (type === 'boolean' && typeof value !== 'boolean') {
+    return { error: `${field} must be true or false` };
+  }
+
+  if (type === 'object' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+    return { error: `${field} must be an object` };
+  }
+
+  if (type === 'array') {
+    if (!Array.isArray(value)) {
+      return { error: `${field} must be an array` };
+    }
+    if (rule.min !== undefined && value.length < rule.min) {
+      return { error: `${field} must have at least ${rule.min} items` };
+    }
+    if (rule.max !== undefined && value.length > rule.max) {
+      return { error: `${field} must have at most ${rule.max} items` };
+    }
+    if (rule.items) {
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const result = checkValue(`${field}[${i}]`, value[i], rule.items);
+        if (result.error) {
+          return result;
+        }
+        items.push(result.value);
+      }
+      value = items;
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `${field} must be one of: ${rule.enum.join(', ')}` };
+  }
+
+  return { value };
+};
+
+// Validate every field of one request location; returns the cleaned values
+const checkLocation = (location, input, fields, errors) => {
+  const output = { ...input };
+
+  for (const [field, rule] of Object.entries(fields)) {
+    const rawValue = input[field];
+    const missing = rawValue === undefined || rawValue === null || rawValue === '';
+
+    if (missing) {
+      if (rule.required) {
+        errors.push({ field, location, message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        output[field] = rule.default;
+      }
+      continue;
+    }
+
+    const { value, error } = checkValue(field, rawValue, rule);
+
+    if (error) {
+      errors.push({ field, location, message: error });
+    } else {
+      output[field] = value;
+    }
+  }
+
+  return output;
+};
+
+// @desc    Build a middleware that validates req.params/query/body against a schema
+//          and responds 400 with every field error, or replaces the inputs with
+//          coerced values (defaults applied) and continues
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  const cleaned = {};
+
+  for (const location of ['params', 'query', 'body']) {
+    if (schema[location]) {
+      cleaned[location] = checkLocation(location, req[location] || {}, schema[location], errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  if (cleaned.query) req.query = cleaned.query;
+  if (cleaned.body) req.body = cleaned.body;
+
+  next();
+};
+
+// Standard limit/offset query fields; limit is capped at MAX_PAGE_LIMIT
+const pagination = (defaultLimit = 20) => ({
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_LIMIT, clamp: true, default: defaultLimit },
+  offset: { type: 'integer', min: 0, default: 0 }
+});
+
+module.exports = {
+  MAX_PAGE_LIMIT,
+  validate,
+  pagination
+};
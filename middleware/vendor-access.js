@@ -0,0 +1,105 @@
+const { supabase } = require('../config/supabase');
+
+// @desc    Load the (non-deleted) vendor from req.params[param] into req.vendor and
+//          allow the request only for the vendor's owner or an admin.
+//          Must run after requireAuth.
+const requireVendorOwner = (param = 'id') => async (req, res, next) => {
+  try {
+    const { data: vendor, error } = await supabase
+      .from('vendors')
+      .select('*')
+      .eq('id', req.params[param])
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && vendor.owner_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the vendor owner or an admin can do this'
+      });
+    }
+
+    req.vendor = vendor;
+    next();
+
+  } catch (error) {
+    console.error('Vendor access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking vendor access'
+    });
+  }
+};
+
+// @desc    Load the caller's own (non-deleted) vendor into req.vendor: the one named by
+//          vendor_id in the body or query, or their only vendor when they own just one.
+//          Must run after requireAuth (and validate, so vendor_id is checked).
+const requireOwnedVendor = async (req, res, next) => {
+  try {
+    const vendorId = req.body?.vendor_id || req.query?.vendor_id;
+
+    let query = supabase
+      .from('vendors')
+      .select('*')
+      .eq('owner_id', req.user.id)
+      .is('deleted_at', null);
+
+    if (vendorId) {
+      query = query.eq('id', vendorId);
+    }
+
+    const { data: vendors, error } = await query.limit(2);
+
+    if (error || vendors.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: vendorId ? 'Vendor not found' : 'No vendor listing found for your account'
+      });
+    }
+
+    if (vendors.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'vendor_id is required when you own more than one vendor'
+      });
+    }
+
+    req.vendor = vendors[0];
+    next();
+
+  } catch (error) {
+    console.error('Vendor access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking vendor access'
+    });
+  }
+};
+
+// Ids of every (non-deleted) vendor the user owns
+const ownedVendorIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('vendors')
+    .select('id')
+    .eq('owner_id', userId)
+    .is('deleted_at', null);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(vendor => vendor.id);
+};
+
+module.exports = {
+  requireVendorOwner,
+  requireOwnedVendor,
+  ownedVendorIds
+};
@@ -1,20 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const { logAdminAction } = require('../utils/audit');
+const { notifyUser } = require('../utils/notifications');
+const { DOCUMENT_COLUMNS, signDocuments } = require('../utils/media');
+const { JOBS, runJob } = require('../utils/scheduler');
+
+// Every admin route requires an authenticated admin
+router.use(requireRole('admin'));
+
+// Promotion package fields admins may set
+const PACKAGE_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'duration_days',
+  'features',
+  'color',
+  'popular',
+  'is_active',
+  'display_order',
+  'placement_priority'
+];
+
+const pickPackageFields = (body) => {
+  const packageData = {};
+  for (const field of PACKAGE_FIELDS) {
+    if (body[field] !== undefined) {
+      packageData[field] = body[field];
+    }
+  }
+  return packageData;
+};
 
 // @route   GET /api/admin/stats
 // @desc    Get admin dashboard statistics
 // @access  Private (Admin only)
-router.get('/stats', async (req, res) => {
+router.get('/stats', validate(schemas.stats), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
-
     // Get total vendors
     const { count: vendorCount } = await supabase
       .from('vendors')
@@ -82,15 +108,9 @@ router.get('/stats', async (req, res) => {
 // @route   GET /api/admin/posts/pending
 // @desc    Get all pending posts for review
 // @access  Private (Admin only)
-router.get('/posts/pending', async (req, res) => {
+router.get('/posts/pending', validate(schemas.pendingPosts), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
+    const { limit, offset } = req.query;
 
     const { data: posts, error } = await supabase
       .from('vlogger_posts')
@@ -100,7 +120,8 @@ router.get('/posts/pending', async (req, res) => {
         vendors(name, location)
       `)
       .eq('status', 'pending')
-      .order('submitted_at', { ascending: false });
+      .order('submitted_at', { ascending: false })
+      .range(offset, offset + limit - 1);
 
     if (error) {
       return res.status(400).json({
@@ -126,19 +147,11 @@ router.get('/posts/pending', async (req, res) => {
 // @route   PATCH /api/admin/posts/:id/review
 // @desc    Admin review post (approve/reject)
 // @access  Private (Admin only)
-router.patch('/posts/:id/review', async (req, res) => {
+router.patch('/posts/:id/review', validate(schemas.postReview), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, admin_notes, payout_amount } = req.body;
-    const adminId = req.user?.id;
-
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
+    const adminId = req.user.id;
 
     // Validate status
     if (!['approved', 'rejected'].includes(status)) {
@@ -157,7 +170,7 @@ router.patch('/posts/:id/review', async (req, res) => {
 
     // Add payout amount if approved
     if (status === 'approved' && payout_amount) {
-      updateData.payout_amount = parseFloat(payout_amount);
+      updateData.payout_amount = payout_amount;
     }
 
     const { data: post, error } = await supabase
@@ -192,16 +205,8 @@ router.patch('/posts/:id/review', async (req, res) => {
 // @route   GET /api/admin/users
 // @desc    Get all users (vendors and vloggers)
 // @access  Private (Admin only)
-router.get('/users', async (req, res) => {
+router.get('/users', validate(schemas.users), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
-
     const { type } = req.query; // 'vendors' or 'vloggers'
 
     if (type === 'vendors') {
@@ -263,26 +268,662 @@ router.get('/users', async (req, res) => {
   }
 });
 
-// @route   GET /api/admin/promotions
-// @desc    Get all active promotions
+// Build a handler that verifies/unverifies a vendors or vloggers record
+// and mirrors the flag onto the linked user's profile
+const setVerification = (table, userColumn, targetType) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verified, reason } = req.body;
+
+    const { data: record, error } = await supabase
+      .from(table)
+      .update({
+        verified,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !record) {
+      return res.status(404).json({
+        success: false,
+        message: `${targetType.charAt(0).toUpperCase() + targetType.slice(1)} not found`
+      });
+    }
+
+    if (record[userColumn]) {
+      const { error: profileError } = await supabaseAdmin
+        .from('user_profiles')
+        .update({ is_verified: verified })
+        .eq('id', record[userColumn]);
+
+      if (profileError) {
+        console.error('Error updating profile verification:', profileError);
+      }
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: verified ? 'verify' : 'unverify',
+      targetType,
+      targetId: id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: `${targetType.charAt(0).toUpperCase() + targetType.slice(1)} ${verified ? 'verified' : 'unverified'} successfully`,
+      [targetType]: record
+    });
+
+  } catch (error) {
+    console.error('Set verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @route   PATCH /api/admin/vendors/:id/verification
+// @desc    Verify or unverify a vendor
+// @access  Private (Admin only)
+router.patch('/vendors/:id/verification', validate(schemas.verification), setVerification('vendors', 'owner_id', 'vendor'));
+
+// @route   PATCH /api/admin/vloggers/:id/verification
+// @desc    Verify or unverify a vlogger
+// @access  Private (Admin only)
+router.patch('/vloggers/:id/verification', validate(schemas.verification), setVerification('vloggers', 'user_id', 'vlogger'));
+
+// @route   PATCH /api/admin/users/:id/suspend
+// @desc    Suspend an account (profile deactivated, sign-in banned)
+// @access  Private (Admin only)
+router.patch('/users/:id/suspend', validate(schemas.suspend), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('user_profiles')
+      .update({
+        is_active: false,
+        suspended_at: new Date().toISOString(),
+        suspension_reason: reason
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Ban at the auth level too so logins and token refreshes fail
+    const { error: banError } = await supabaseAdmin.auth.admin.updateUserById(id, {
+      ban_duration: '876000h'
+    });
+
+    if (banError) {
+      console.error('Error banning auth user:', banError);
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'suspend',
+      targetType: 'user',
+      targetId: id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended successfully',
+      user: profile
+    });
+
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/reactivate
+// @desc    Reactivate a suspended account
+// @access  Private (Admin only)
+router.patch('/users/:id/reactivate', validate(schemas.reactivate), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('user_profiles')
+      .update({
+        is_active: true,
+        suspended_at: null,
+        suspension_reason: null
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { error: unbanError } = await supabaseAdmin.auth.admin.updateUserById(id, {
+      ban_duration: 'none'
+    });
+
+    if (unbanError) {
+      console.error('Error unbanning auth user:', unbanError);
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'reactivate',
+      targetType: 'user',
+      targetId: id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      user: profile
+    });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role (promote to / demote from admin)
+// @access  Private (Admin only)
+router.patch('/users/:id/role', validate(schemas.role), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, reason } = req.body;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const { data: existing, error: findError } = await supabaseAdmin
+      .from('user_profiles')
+      .select('role')
+      .eq('id', id)
+      .single();
+
+    if (findError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('user_profiles')
+      .update({ role })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'change_role',
+      targetType: 'user',
+      targetId: id,
+      reason,
+      details: { from: existing.role, to: role }
+    });
+
+    res.json({
+      success: true,
+      message: `User role changed from ${existing.role} to ${role}`,
+      user: profile
+    });
+
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/claims
+// @desc    Vendor claims queue with proof documents (pending by default); document
+//          links are signed and expire after a few minutes
 // @access  Private (Admin only)
-router.get('/promotions', async (req, res) => {
+router.get('/claims', validate(schemas.claims), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
+    const { status, limit, offset } = req.query;
+
+    const { data: claims, error } = await supabaseAdmin
+      .from('vendor_claims')
+      .select(`
+        *,
+        vendors(id, name, address, city, owner_id, verified),
+        documents:media(${DOCUMENT_COLUMNS})
+      `)
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const signedClaims = await Promise.all(claims.map(async (claim) => ({
+      ...claim,
+      documents: await signDocuments(claim.documents)
+    })));
+
+    res.json({
+      success: true,
+      count: signedClaims.length,
+      claims: signedClaims
+    });
+
+  } catch (error) {
+    console.error('Get vendor claims error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/claims/:id
+// @desc    Approve a claim (claimant becomes the verified owner) or reject it
+// @access  Private (Admin only)
+router.patch('/claims/:id', validate(schemas.reviewClaim), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, reason } = req.body;
+
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a claim'
+      });
+    }
+
+    const { data: claim, error: findError } = await supabaseAdmin
+      .from('vendor_claims')
+      .select('*, vendors(id, name, owner_id)')
+      .eq('id', id)
+      .single();
+
+    if (findError || !claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+
+    if (claim.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Claim has already been ${claim.status}`
+      });
+    }
+
+    if (action === 'approve' && claim.vendors.owner_id && claim.vendors.owner_id !== claim.claimant_id) {
+      return res.status(409).json({
         success: false,
-        message: 'Admin access required'
+        message: 'This vendor has already been claimed by someone else'
       });
     }
 
+    const now = new Date().toISOString();
+    const status = action === 'approve' ? 'approved' : 'rejected';
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('vendor_claims')
+      .update({
+        status,
+        reviewed_by: req.user.id,
+        reviewed_at: now,
+        review_notes: reason || null
+      })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (error || !updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Claim was reviewed by someone else'
+      });
+    }
+
+    if (action === 'approve') {
+      const { error: vendorError } = await supabaseAdmin
+        .from('vendors')
+        .update({
+          owner_id: claim.claimant_id,
+          verified: true,
+          updated_at: now
+        })
+        .eq('id', claim.vendor_id);
+
+      if (vendorError) {
+        console.error('Error transferring vendor ownership:', vendorError);
+        return res.status(500).json({
+          success: false,
+          message: 'Claim approved but vendor ownership could not be updated'
+        });
+      }
+
+      const { error: profileError } = await supabaseAdmin
+        .from('user_profiles')
+        .update({ is_verified: true })
+        .eq('id', claim.claimant_id);
+
+      if (profileError) {
+        console.error('Error updating profile verification:', profileError);
+      }
+
+      // The vendor is taken now, so close everyone else's open claims on it
+      const { data: competing } = await supabaseAdmin
+        .from('vendor_claims')
+        .update({
+          status: 'rejected',
+          reviewed_by: req.user.id,
+          reviewed_at: now,
+          review_notes: 'Another claim for this vendor was approved'
+        })
+        .eq('vendor_id', claim.vendor_id)
+        .eq('status', 'pending')
+        .select('id, claimant_id');
+
+      for (const other of competing || []) {
+        await notifyUser({
+          userId: other.claimant_id,
+          type: 'vendor_claim_rejected',
+          title: `Your claim for ${claim.vendors.name} was not approved`,
+          message: 'Another claim for this vendor was approved',
+          data: { claim_id: other.id, vendor_id: claim.vendor_id }
+        });
+      }
+    }
+
+    await notifyUser({
+      userId: claim.claimant_id,
+      type: `vendor_claim_${status}`,
+      title: action === 'approve'
+        ? `Your claim for ${claim.vendors.name} was approved`
+        : `Your claim for ${claim.vendors.name} was not approved`,
+      message: action === 'approve' ? 'You can now manage this vendor listing.' : reason,
+      data: { claim_id: id, vendor_id: claim.vendor_id }
+    });
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: `claim_${action}`,
+      targetType: 'vendor',
+      targetId: claim.vendor_id,
+      reason,
+      details: { claim_id: id, claimant_id: claim.claimant_id }
+    });
+
+    res.json({
+      success: true,
+      message: `Claim ${status} successfully`,
+      claim: updated
+    });
+
+  } catch (error) {
+    console.error('Review vendor claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews/flagged
+// @desc    Moderation queue: flagged reviews with their user reports
+// @access  Private (Admin only)
+router.get('/reviews/flagged', validate(schemas.flaggedReviews), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+
+    const { data: reviews, error } = await supabaseAdmin
+      .from('reviews')
+      .select(`
+        *,
+        users:user_profiles(name:full_name),
+        vendors(name),
+        reports:review_reports(id, reporter_id, reason, details, created_at)
+      `)
+      .eq('status', 'flagged')
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      reviews: reviews.map(review => ({
+        ...review,
+        report_count: review.reports.length
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get flagged reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/reviews/:id/moderate
+// @desc    Approve (publish) or hide a review
+// @access  Private (Admin only)
+router.patch('/reviews/:id/moderate', validate(schemas.moderateReview), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, reason } = req.body;
+
+    const { data: review, error } = await supabaseAdmin
+      .from('reviews')
+      .update({
+        status: action === 'approve' ? 'published' : 'hidden',
+        moderated_by: req.user.id,
+        moderated_at: new Date().toISOString(),
+        moderation_notes: reason || null
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: `review_${action}`,
+      targetType: 'review',
+      targetId: id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: action === 'approve' ? 'Review published' : 'Review hidden',
+      review
+    });
+
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/reviews/:id
+// @desc    Delete a review outright
+// @access  Private (Admin only)
+router.delete('/reviews/:id', validate(schemas.deleteReview), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const { data: review, error } = await supabaseAdmin
+      .from('reviews')
+      .delete()
+      .eq('id', id)
+      .select('id, vendor_id, user_id, rating, comment')
+      .single();
+
+    if (error || !review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'review_delete',
+      targetType: 'review',
+      targetId: id,
+      reason,
+      details: review
+    });
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+
+  } catch (error) {
+    console.error('Admin delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/actions
+// @desc    Get the admin audit log
+// @access  Private (Admin only)
+router.get('/actions', validate(schemas.actions), async (req, res) => {
+  try {
+    const { target_type, target_id, admin_id, limit, offset } = req.query;
+
+    let query = supabaseAdmin
+      .from('admin_actions')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (target_type) {
+      query = query.eq('target_type', target_type);
+    }
+
+    if (target_id) {
+      query = query.eq('target_id', target_id);
+    }
+
+    if (admin_id) {
+      query = query.eq('admin_id', admin_id);
+    }
+
+    query = query.range(offset, offset + limit - 1);
+
+    const { data: actions, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      count: actions.length,
+      actions
+    });
+
+  } catch (error) {
+    console.error('Get admin actions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/promotions
+// @desc    Get all active promotions
+// @access  Private (Admin only)
+router.get('/promotions', validate(schemas.promotions), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+
     const { data: promotions, error } = await supabase
       .from('vendor_promotions')
       .select(`
         *,
         vendors(name, location)
       `)
-      .order('created_at', { ascending: false });
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
 
     if (error) {
       return res.status(400).json({
@@ -305,19 +946,257 @@ router.get('/promotions', async (req, res) => {
   }
 });
 
-// @route   GET /api/admin/activity
-// @desc    Get recent platform activity
+// @route   GET /api/admin/packages
+// @desc    Get all promotion packages, including inactive ones
 // @access  Private (Admin only)
-router.get('/activity', async (req, res) => {
+router.get('/packages', validate(schemas.packages), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
+    const { data: packages, error } = await supabaseAdmin
+      .from('promotion_packages')
+      .select('*')
+      .order('display_order', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Admin access required'
+        message: error.message
       });
     }
 
+    res.json({
+      success: true,
+      packages
+    });
+
+  } catch (error) {
+    console.error('Get packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/packages
+// @desc    Create a promotion package
+// @access  Private (Admin only)
+router.post('/packages', validate(schemas.createPackage), async (req, res) => {
+  try {
+    const packageData = pickPackageFields(req.body);
+
+    const { data: pkg, error } = await supabaseAdmin
+      .from('promotion_packages')
+      .insert([
+        {
+          id: req.body.id,
+          ...packageData,
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'A package with this id already exists'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'package_create',
+      targetType: 'promotion_package',
+      targetId: pkg.id,
+      details: packageData
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Package created successfully',
+      package: pkg
+    });
+
+  } catch (error) {
+    console.error('Create package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/packages/:id
+// @desc    Update a promotion package (existing purchases keep the price they paid)
+// @access  Private (Admin only)
+router.put('/packages/:id', validate(schemas.updatePackage), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const packageData = pickPackageFields(req.body);
+
+    if (Object.keys(packageData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const { data: pkg, error } = await supabaseAdmin
+      .from('promotion_packages')
+      .update({
+        ...packageData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !pkg) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'package_update',
+      targetType: 'promotion_package',
+      targetId: id,
+      details: packageData
+    });
+
+    res.json({
+      success: true,
+      message: 'Package updated successfully',
+      package: pkg
+    });
+
+  } catch (error) {
+    console.error('Update package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/packages/:id
+// @desc    Delete a package; packages that were already purchased are deactivated instead
+// @access  Private (Admin only)
+router.delete('/packages/:id', validate(schemas.removePackage), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count: purchases } = await supabaseAdmin
+      .from('vendor_promotions')
+      .select('*', { count: 'exact', head: true })
+      .eq('package_id', id);
+
+    const query = purchases > 0
+      ? supabaseAdmin.from('promotion_packages').update({ is_active: false, updated_at: new Date().toISOString() })
+      : supabaseAdmin.from('promotion_packages').delete();
+
+    const { data, error } = await query
+      .eq('id', id)
+      .select('id');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: purchases > 0 ? 'package_deactivate' : 'package_delete',
+      targetType: 'promotion_package',
+      targetId: id
+    });
+
+    res.json({
+      success: true,
+      message: purchases > 0
+        ? 'Package has purchases, so it was deactivated instead of deleted'
+        : 'Package deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Run a scheduled job now (e.g. promotions) instead of waiting for node-cron.
+//          Not available on Netlify (server-minimal.js has no admin routes); jobs run
+//          there from functions/promotion-jobs.js
+// @access  Private (Admin only)
+router.post('/jobs/:name/run', validate(schemas.runJob), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!Object.hasOwn(JOBS, name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown job: ${name}`
+      });
+    }
+
+    const result = await runJob(name);
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: `Job ${name} is already running`
+      });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'job_run',
+      targetType: 'job',
+      targetId: name,
+      details: result
+    });
+
+    res.json({
+      success: true,
+      message: `Job ${name} completed`,
+      result
+    });
+
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/activity
+// @desc    Get recent platform activity
+// @access  Private (Admin only)
+router.get('/activity', validate(schemas.activity), async (req, res) => {
+  try {
     // Get recent activities from different tables
     const activities = [
       {
@@ -1,31 +1,115 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin, createAuthClient } = require('../config/supabase');
+const { getBearerToken, requireAuth } = require('../middleware/auth');
+const {
+  allowedFields,
+  pickProfileFields,
+  validateSignupFields
+} = require('../utils/profile-fields');
+const { normalizeOpeningHours, validateOpeningHours } = require('../utils/opening-hours');
+const { imageUpload, handleUploadErrors, processImage, uploadToStorage } = require('../utils/media');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const { rateLimit, loginLockout } = require('../middleware/rate-limit');
+const rateLimits = require('../config/rate-limits');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Token fields returned to clients whenever a session is issued
+const sessionTokens = (session) => ({
+  token: session.access_token,
+  refresh_token: session.refresh_token,
+  expires_in: session.expires_in,
+  expires_at: session.expires_at
+});
+
+// Create the vendors/vloggers record linked to a new vendor or vlogger profile
+const createLinkedRecord = async (userId, role, profile) => {
+  if (role === 'vendor') {
+    return supabaseAdmin
+      .from('vendors')
+      .insert([
+        {
+          owner_id: userId,
+          name: profile.business_name,
+          address: profile.business_address,
+          city: profile.location_city.toLowerCase(),
+          state: profile.location_state || null,
+          cuisine_type: profile.cuisine_type,
+          contact_phone: profile.business_phone || profile.phone || null,
+          contact_email: profile.email,
+          opening_hours: profile.business_hours ? normalizeOpeningHours(profile.business_hours) : null,
+          specialties: profile.specialties || null,
+          rating: 0,
+          verified: false,
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+  }
+
+  if (role === 'vlogger') {
+    return supabaseAdmin
+      .from('vloggers')
+      .insert([
+        {
+          user_id: userId,
+          name: profile.full_name,
+          platform: profile.youtube_channel ? 'youtube' : 'instagram',
+          username: profile.youtube_channel || profile.instagram_handle,
+          followers: profile.subscriber_count ? parseInt(profile.subscriber_count) : 0,
+          content_type: profile.content_category || null,
+          bio: profile.bio || null,
+          social_links: {
+            youtube: profile.youtube_channel || null,
+            instagram: profile.instagram_handle || null
+          },
+          location: profile.location_city || null,
+          verified: false,
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+  }
+
+  return { data: null, error: null };
+};
 
 // @route   POST /api/auth/signup
-// @desc    Register new user
+// @desc    Register new user, vendor or vlogger
 // @access  Public
-router.post('/signup', async (req, res) => {
+router.post('/signup', rateLimit(rateLimits.signup), validate(schemas.signup), async (req, res) => {
   try {
-    const { email, password, name, phone } = req.body;
+    const { email, password, name, role } = req.body;
+
+    const profileFields = {
+      ...pickProfileFields(role, req.body),
+      full_name: name
+    };
 
-    // Validate input
-    if (!email || !password || !name) {
+    const validationError = validateSignupFields(role, profileFields);
+
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Email, password aur name required hain'
+        message: validationError
       });
     }
 
     // Sign up user with Supabase Auth
-    const { data: authData, error: authError } = await supabase.auth.signUp({
+    const { data: authData, error: authError } = await createAuthClient().auth.signUp({
       email,
       password,
       options: {
         data: {
-          name,
-          phone: phone || null
-        }
+          full_name: name,
+          phone: profileFields.phone || null,
+          role
+        },
+        emailRedirectTo: process.env.EMAIL_REDIRECT_URL
       }
     });
 
@@ -36,23 +120,42 @@ router.post('/signup', async (req, res) => {
       });
     }
 
-    // Insert user profile data
+    let profile = null;
+    let linkedRecord = null;
+
     if (authData.user) {
-      const { error: profileError } = await supabase
-        .from('users')
-        .insert([
-          {
-            id: authData.user.id,
-            email,
-            name,
-            phone: phone || null,
-            role: 'user',
-            created_at: new Date().toISOString()
-          }
-        ]);
-
-      if (profileError) {
-        console.error('Profile creation error:', profileError);
+      const userId = authData.user.id;
+
+      // The on_auth_user_created trigger may already have inserted a bare row
+      const { data: profileData, error: profileError } = await supabaseAdmin
+        .from('user_profiles')
+        .upsert({
+          id: userId,
+          email,
+          role,
+          ...profileFields
+        })
+        .select()
+        .single();
+
+      let setupError = profileError;
+
+      if (!setupError) {
+        profile = profileData;
+        const { data: linkedData, error: linkedError } = await createLinkedRecord(userId, role, profile);
+        linkedRecord = linkedData;
+        setupError = linkedError;
+      }
+
+      // Roll back the auth user so the email can be used again
+      if (setupError) {
+        console.error('Profile creation error:', setupError);
+        await supabaseAdmin.auth.admin.deleteUser(userId);
+
+        return res.status(400).json({
+          success: false,
+          message: 'Could not create user profile: ' + setupError.message
+        });
       }
     }
 
@@ -62,8 +165,12 @@ router.post('/signup', async (req, res) => {
       user: {
         id: authData.user?.id,
         email: authData.user?.email,
-        name
-      }
+        name,
+        role
+      },
+      profile,
+      ...(role === 'vendor' && { vendor: linkedRecord }),
+      ...(role === 'vlogger' && { vlogger: linkedRecord })
     });
 
   } catch (error) {
@@ -78,18 +185,11 @@ router.post('/signup', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit(rateLimits.login), validate(schemas.login), loginLockout(rateLimits.loginLockout), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email aur password required hain'
-      });
-    }
-
-    const { data, error } = await supabase.auth.signInWithPassword({
+    const { data, error } = await createAuthClient().auth.signInWithPassword({
       email,
       password
     });
@@ -102,22 +202,30 @@ router.post('/login', async (req, res) => {
     }
 
     // Get user profile
-    const { data: profile } = await supabase
-      .from('users')
+    const { data: profile } = await supabaseAdmin
+      .from('user_profiles')
       .select('*')
       .eq('id', data.user.id)
       .single();
 
+    if (profile && profile.is_active === false) {
+      await supabaseAdmin.auth.admin.signOut(data.session.access_token, 'local');
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended hai. Please support se contact karein.'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Login successful',
       user: {
         id: data.user.id,
         email: data.user.email,
-        name: profile?.name,
+        name: profile?.full_name,
         role: profile?.role || 'user'
       },
-      token: data.session.access_token
+      ...sessionTokens(data.session)
     });
 
   } catch (error) {
@@ -129,13 +237,252 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new session
+// @access  Public
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token required hai'
+      });
+    }
+
+    const { data, error } = await createAuthClient().auth.refreshSession({ refresh_token });
+
+    if (error || !data.session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      ...sessionTokens(data.session)
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset email
+// @access  Public
+router.post('/forgot-password', rateLimit(rateLimits.passwordEmail), validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email required hai'
+      });
+    }
+
+    const { error } = await createAuthClient().auth.resetPasswordForEmail(email, {
+      redirectTo: process.env.PASSWORD_RESET_REDIRECT_URL
+    });
+
+    // Same response either way so the endpoint can't be used to probe for accounts
+    if (error) {
+      console.error('Forgot password error:', error.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Agar yeh email registered hai, toh password reset link bhej diya gaya hai.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending reset email'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the recovery token_hash from the reset email, or a
+//          session token (access_token / Bearer) together with the current password
+// @access  Public (recovery token or current password required)
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { password, token_hash, current_password } = req.body;
+    const accessToken = req.body.access_token || getBearerToken(req);
+
+    if (!password || (!token_hash && !accessToken)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password aur recovery token required hain'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    // Resolve the user from the email's recovery token hash, or from a session token
+    // plus the current password (a leaked session token alone must not change it)
+    let user = null;
+
+    if (token_hash) {
+      const { data, error } = await createAuthClient().auth.verifyOtp({
+        token_hash,
+        type: 'recovery'
+      });
+      user = error ? null : data.user;
+    } else {
+      if (!current_password) {
+        return res.status(400).json({
+          success: false,
+          message: 'current_password is required without a recovery token_hash'
+        });
+      }
+
+      const { data, error } = await supabase.auth.getUser(accessToken);
+      const sessionUser = error ? null : data.user;
+
+      if (sessionUser) {
+        const authClient = createAuthClient();
+        const { error: passwordError } = await authClient.auth.signInWithPassword({
+          email: sessionUser.email,
+          password: current_password
+        });
+
+        if (passwordError) {
+          return res.status(401).json({
+            success: false,
+            message: 'Current password is incorrect'
+          });
+        }
+
+        // Only needed to check the password; drop the session it created
+        await authClient.auth.signOut({ scope: 'local' });
+        user = sessionUser;
+      }
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired recovery token'
+      });
+    }
+
+    const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(user.id, { password });
+
+    if (updateError) {
+      return res.status(400).json({
+        success: false,
+        message: updateError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password successfully reset. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the signup verification email
+// @access  Public
+router.post('/resend-verification', rateLimit(rateLimits.passwordEmail), validate(schemas.resendVerification), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email required hai'
+      });
+    }
+
+    const { error } = await createAuthClient().auth.resend({
+      type: 'signup',
+      email,
+      options: {
+        emailRedirectTo: process.env.EMAIL_REDIRECT_URL
+      }
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email dobara bhej diya gaya hai.'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resending verification email'
+    });
+  }
+});
+
+// Read the session_id claim from an already-verified access token
+const getSessionId = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return payload.session_id || null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout the current session (Bearer token, or a refresh token in the body)
 // @access  Private
-router.post('/logout', async (req, res) => {
+router.post('/logout', validate(schemas.logout), async (req, res) => {
   try {
-    const { error } = await supabase.auth.signOut();
-    
+    let accessToken = req.user ? req.token : null;
+
+    // Clients that only hold a refresh token can still revoke that session
+    if (!accessToken && req.body.refresh_token) {
+      const { data } = await createAuthClient().auth.refreshSession({
+        refresh_token: req.body.refresh_token
+      });
+      accessToken = data?.session?.access_token || null;
+    }
+
+    if (!accessToken) {
+      return res.status(401).json({
+        success: false,
+        message: req.authError || 'Authentication required'
+      });
+    }
+
+    const { error } = await supabaseAdmin.auth.admin.signOut(accessToken, 'local');
+
     if (error) {
       return res.status(400).json({
         success: false,
@@ -157,44 +504,93 @@ router.post('/logout', async (req, res) => {
   }
 });
 
-// @route   GET /api/auth/profile
-// @desc    Get user profile
+// @route   POST /api/auth/logout-all
+// @desc    Logout from all devices (pass { keep_current: true } to keep this session)
 // @access  Private
-router.get('/profile', async (req, res) => {
+router.post('/logout-all', requireAuth, validate(schemas.logoutAll), async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
+    const scope = req.body.keep_current ? 'others' : 'global';
+
+    const { error } = await supabaseAdmin.auth.admin.signOut(req.token, scope);
+
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'No token provided'
+        message: error.message
       });
     }
 
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    res.json({
+      success: true,
+      message: scope === 'global'
+        ? 'Logged out from all devices'
+        : 'Logged out from all other devices'
+    });
 
-    if (error || !user) {
-      return res.status(401).json({
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions for the current user
+// @access  Private
+router.get('/sessions', requireAuth, validate(schemas.sessions), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin.rpc('get_user_sessions', {
+      p_user_id: req.user.id
+    });
+
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid token'
+        message: error.message
       });
     }
 
-    // Get user profile
-    const { data: profile } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', user.id)
-      .single();
+    const currentSessionId = getSessionId(req.token);
+
+    const sessions = (data || []).map(session => ({
+      ...session,
+      current: session.id === currentSessionId
+    }));
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting sessions'
+    });
+  }
+});
+
+// @route   GET /api/auth/profile
+// @desc    Get user profile
+// @access  Private
+router.get('/profile', requireAuth, validate(schemas.profile), async (req, res) => {
+  try {
+    const { profile } = req.user;
 
     res.json({
       success: true,
       user: {
-        id: user.id,
-        email: user.email,
-        name: profile?.name,
+        id: req.user.id,
+        email: req.user.email,
+        name: profile?.full_name,
         phone: profile?.phone,
-        role: profile?.role || 'user',
+        bio: profile?.bio,
+        profile_image_url: profile?.profile_image_url,
+        role: req.user.role,
         created_at: profile?.created_at
       }
     });
@@ -208,4 +604,130 @@ router.get('/profile', async (req, res) => {
   }
 });
 
+// @route   PATCH /api/auth/profile
+// @desc    Update own profile (fields allowed depend on role)
+// @access  Private
+router.patch('/profile', requireAuth, validate(schemas.updateProfile), async (req, res) => {
+  try {
+    const { role } = req.user;
+    const allowed = allowedFields(role);
+    const rejected = Object.keys(req.body).filter(field => !allowed.includes(field));
+
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be updated: ${rejected.join(', ')}`
+      });
+    }
+
+    const updates = pickProfileFields(role, req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    if (updates.full_name !== undefined && !updates.full_name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name khaali nahi ho sakta'
+      });
+    }
+
+    // Types and lengths are checked by the schema; opening hours need their own rules
+    const hoursError = updates.business_hours ? validateOpeningHours(updates.business_hours) : null;
+
+    if (hoursError) {
+      return res.status(400).json({
+        success: false,
+        message: hoursError.replace(/opening_hours/g, 'business_hours')
+      });
+    }
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('user_profiles')
+      .update(updates)
+      .eq('id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      profile
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating profile'
+    });
+  }
+});
+
+// @route   POST /api/auth/profile/avatar
+// @desc    Upload a square avatar and set profile_image_url
+// @access  Private
+router.post('/profile/avatar', requireAuth, handleUploadErrors(imageUpload.single('avatar')), validate(schemas.avatar), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Avatar image required hai'
+      });
+    }
+
+    const avatarBuffer = await processImage(req.file.buffer, 'avatar');
+    const fileName = `avatars/${req.user.id}/${Date.now()}.jpg`;
+
+    const { publicUrl, error: uploadError } = await uploadToStorage(fileName, avatarBuffer, 'image/jpeg');
+
+    if (uploadError) {
+      console.error('Avatar upload error:', uploadError);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to upload avatar'
+      });
+    }
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('user_profiles')
+      .update({ profile_image_url: publicUrl })
+      .eq('id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      profile_image_url: publicUrl,
+      profile
+    });
+
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading avatar'
+    });
+  }
+});
+
 module.exports = router;
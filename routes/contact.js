@@ -1,22 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/contact');
+const { rateLimit } = require('../middleware/rate-limit');
+const rateLimits = require('../config/rate-limits');
 
 // @route   POST /api/contact
 // @desc    Submit contact form
 // @access  Public
-router.post('/', async (req, res) => {
+router.post('/', rateLimit(rateLimits.contact), validate(schemas.create), async (req, res) => {
   try {
     const { name, email, phone, subject, message } = req.body;
 
-    // Validate required fields
-    if (!name || !email || !subject || !message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, email, subject aur message required hain'
-      });
-    }
-
     // Save to database
     const { data, error } = await supabase
       .from('contact_submissions')
@@ -62,7 +59,7 @@ router.post('/', async (req, res) => {
 // @route   GET /api/contact
 // @desc    Get all contact submissions (Admin only)
 // @access  Private
-router.get('/', async (req, res) => {
+router.get('/', requireRole('admin'), validate(schemas.list), async (req, res) => {
   try {
     const { status, limit = 50, offset = 0 } = req.query;
 
@@ -75,7 +72,7 @@ router.get('/', async (req, res) => {
       query = query.eq('status', status);
     }
 
-    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    query = query.range(offset, offset + limit - 1);
 
     const { data, error } = await query;
 
@@ -103,8 +100,8 @@ router.get('/', async (req, res) => {
 
 // @route   PUT /api/contact/:id
 // @desc    Update contact submission status
-// @access  Private
-router.put('/:id', async (req, res) => {
+// @access  Private (Admin only)
+router.put('/:id', requireRole('admin'), validate(schemas.update), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, admin_notes } = req.body;
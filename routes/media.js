@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const sharp = require('sharp');
 const { supabase } = require('../config/supabase');
+const { generateFileName, processImage, uploadToStorage } = require('../utils/media');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/media');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -24,7 +26,7 @@ const upload = multer({
 // @route   POST /api/media/upload
 // @desc    Upload media files
 // @access  Private
-router.post('/upload', upload.array('files', 5), async (req, res) => {
+router.post('/upload', upload.array('files', 5), validate(schemas.upload), async (req, res) => {
   try {
     const { vendor_id, vlogger_id, type } = req.body;
     const files = req.files;
@@ -40,37 +42,26 @@ router.post('/upload', upload.array('files', 5), async (req, res) => {
 
     for (const file of files) {
       let processedBuffer = file.buffer;
-      let fileName = `${Date.now()}-${Math.random().toString(36).substring(7)}`;
+      let contentType = file.mimetype;
+      let fileName = generateFileName();
 
       // Process images
       if (file.mimetype.startsWith('image/')) {
-        processedBuffer = await sharp(file.buffer)
-          .resize(1200, 800, { fit: 'inside', withoutEnlargement: true })
-          .jpeg({ quality: 85 })
-          .toBuffer();
+        processedBuffer = await processImage(file.buffer);
+        contentType = 'image/jpeg';
         fileName += '.jpg';
       } else {
         fileName += file.originalname.substring(file.originalname.lastIndexOf('.'));
       }
 
       // Upload to Supabase Storage
-      const { data: uploadData, error: uploadError } = await supabase.storage
-        .from('media')
-        .upload(fileName, processedBuffer, {
-          contentType: file.mimetype,
-          upsert: false
-        });
+      const { publicUrl, error: uploadError } = await uploadToStorage(fileName, processedBuffer, contentType);
 
       if (uploadError) {
         console.error('Upload error:', uploadError);
         continue;
       }
 
-      // Get public URL
-      const { data: { publicUrl } } = supabase.storage
-        .from('media')
-        .getPublicUrl(fileName);
-
       // Save media record to database
       const { data: mediaRecord, error: dbError } = await supabase
         .from('media')
@@ -115,7 +106,7 @@ router.post('/upload', upload.array('files', 5), async (req, res) => {
 // @route   GET /api/media
 // @desc    Get media files
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
     const { vendor_id, vlogger_id, type, limit = 20, offset = 0 } = req.query;
 
@@ -136,7 +127,7 @@ router.get('/', async (req, res) => {
       query = query.eq('type', type);
     }
 
-    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    query = query.range(offset, offset + limit - 1);
 
     const { data, error } = await query;
 
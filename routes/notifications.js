@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../config/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notifications');
+
+// Every notification route is for the signed-in user's own notifications
+router.use(requireAuth);
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+router.get('/', validate(schemas.list), async (req, res) => {
+  try {
+    const { unread_only, limit, offset } = req.query;
+
+    let query = supabaseAdmin
+      .from('notifications')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (unread_only) {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { count: unread } = await supabaseAdmin
+      .from('notifications')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+
+    res.json({
+      success: true,
+      count: data.length,
+      unread_count: unread || 0,
+      notifications: data
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting notifications'
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.patch('/read-all', validate(schemas.readAll), async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read'
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notifications'
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.patch('/:id/read', validate(schemas.markRead), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      notification: data
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,119 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reviews');
+const { rateLimit } = require('../middleware/rate-limit');
+const rateLimits = require('../config/rate-limits');
+const {
+  imageUpload,
+  handleUploadErrors,
+  storeImageMedia,
+  PHOTO_COLUMNS,
+  REVIEW_PHOTOS_SELECT,
+  withReviewPhotos
+} = require('../utils/media');
+
+const { detectReviewIssues } = require('../utils/review-flagger');
+
+const MAX_REVIEW_PHOTOS = 5;
+
+// Inner join on photos keeps only reviews that have at least one
+const REVIEWS_WITH_PHOTOS_SELECT = `photo_media:media!inner(${PHOTO_COLUMNS})`;
+
+// Order clauses per ?sort= value, newest first as the tie-breaker
+const REVIEW_SORTS = {
+  newest: [],
+  highest: [['rating', false]],
+  lowest: [['rating', true]],
+  most_helpful: [['helpful_count', false], ['unhelpful_count', true]]
+};
+
+// Reports from this many different users send a published review to the moderation queue
+const REPORT_FLAG_THRESHOLD = 3;
+
+// Status after a create/edit: hidden stays hidden, flagged stays flagged until an admin
+// approves it, and any auto-flag reasons send the review to the queue
+const moderationStatus = (currentStatus, reasons) => {
+  if (currentStatus === 'hidden') {
+    return 'hidden';
+  }
+  return reasons.length > 0 || currentStatus === 'flagged' ? 'flagged' : 'published';
+};
+
+const FLAGGED_MESSAGE = 'Review submitted! Moderation ke baad publish hoga.';
+
+// Multipart field for review photo files
+const photoUpload = handleUploadErrors(imageUpload.array('photos', MAX_REVIEW_PHOTOS));
+
+// Run uploaded files through the media pipeline and link them to the review.
+// Files that fail are logged and skipped, like /api/media/upload.
+const attachPhotos = async (reviewId, files = []) => {
+  const photos = [];
+
+  for (const file of files) {
+    try {
+      photos.push(await storeImageMedia(file, `reviews/${reviewId}`, { review_id: reviewId }));
+    } catch (error) {
+      console.error('Review photo upload error:', error);
+    }
+  }
+
+  return photos;
+};
+
+// Ids of the photos already uploaded for a review
+const listReviewPhotoIds = async (reviewId) => {
+  const { data, error } = await supabaseAdmin
+    .from('media')
+    .select('id')
+    .eq('review_id', reviewId);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map((photo) => String(photo.id));
+};
+
+const tooManyPhotos = (res) => res.status(400).json({
+  success: false,
+  message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos`
+});
+
+// Fetch a review with all of its photos for a response
+const loadReviewWithPhotos = async (id) => {
+  const { data } = await supabase
+    .from('reviews')
+    .select(`*, ${REVIEW_PHOTOS_SELECT}`)
+    .eq('id', id)
+    .single();
+
+  return data ? withReviewPhotos(data) : null;
+};
 
 // @route   GET /api/reviews
 // @desc    Get reviews with filters
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
-    const { vendor_id, user_id, rating_min, limit = 20, offset = 0 } = req.query;
+    const { vendor_id, user_id, rating_min, rating, with_photos, sort, limit = 20, offset = 0 } = req.query;
 
     let query = supabase
       .from('reviews')
       .select(`
         *,
-        users(name),
-        vendors(name)
+        users:user_profiles(name:full_name),
+        vendors(name),
+        ${with_photos ? REVIEWS_WITH_PHOTOS_SELECT : REVIEW_PHOTOS_SELECT}
       `)
-      .order('created_at', { ascending: false });
+      .eq('status', 'published');
+
+    for (const [column, ascending] of REVIEW_SORTS[sort]) {
+      query = query.order(column, { ascending });
+    }
+    query = query.order('created_at', { ascending: false });
 
     if (vendor_id) {
       query = query.eq('vendor_id', vendor_id);
@@ -27,10 +124,14 @@ router.get('/', async (req, res) => {
     }
 
     if (rating_min) {
-      query = query.gte('rating', parseInt(rating_min));
+      query = query.gte('rating', rating_min);
     }
 
-    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    if (rating) {
+      query = query.eq('rating', rating);
+    }
+
+    query = query.range(offset, offset + limit - 1);
 
     const { data, error } = await query;
 
@@ -44,7 +145,7 @@ router.get('/', async (req, res) => {
     res.json({
       success: true,
       count: data.length,
-      reviews: data
+      reviews: data.map(withReviewPhotos)
     });
 
   } catch (error) {
@@ -56,63 +157,507 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Load the review from req.params.id into req.review; only its author may continue
+const requireReviewAuthor = async (req, res, next) => {
+  try {
+    const { data: review, error } = await supabase
+      .from('reviews')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Sirf review likhne wala hi ise change kar sakta hai'
+      });
+    }
+
+    req.review = review;
+    next();
+
+  } catch (error) {
+    console.error('Review access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking review access'
+    });
+  }
+};
+
 // @route   POST /api/reviews
-// @desc    Create new review
+// @desc    Create a review, or update the user's existing review for this vendor.
+//          Accepts JSON or multipart with up to 5 image files in `photos`
 // @access  Private
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, rateLimit(rateLimits.reviews), photoUpload, validate(schemas.create), async (req, res) => {
   try {
-    const { vendor_id, rating, comment, photos } = req.body;
-    
-    // TODO: Get user_id from JWT token
-    const user_id = req.user?.id; // This will come from auth middleware
+    const { vendor_id, rating, comment } = req.body;
+    const user_id = req.user.id;
+
+    // One review per (user, vendor): a second submission replaces the first
+    const { data: existing } = await supabase
+      .from('reviews')
+      .select('id, status')
+      .eq('vendor_id', vendor_id)
+      .eq('user_id', user_id)
+      .maybeSingle();
+
+    const files = req.files || [];
 
-    if (!vendor_id || !rating) {
+    // Photos sent with a resubmission are added to the ones the review already has
+    if (existing && files.length > 0) {
+      const photoIds = await listReviewPhotoIds(existing.id);
+      if (photoIds.length + files.length > MAX_REVIEW_PHOTOS) {
+        return tooManyPhotos(res);
+      }
+    }
+
+    const now = new Date().toISOString();
+    const reasons = await detectReviewIssues(comment, existing?.id);
+    const status = moderationStatus(existing?.status, reasons);
+    const flagData = reasons.length > 0 ? { flag_reasons: reasons } : {};
+
+    const { data, error } = existing
+      ? await supabase
+        .from('reviews')
+        .update({
+          rating,
+          comment,
+          status,
+          ...flagData,
+          updated_at: now
+        })
+        .eq('id', existing.id)
+        .select()
+        .single()
+      : await supabase
+        .from('reviews')
+        .insert([
+          {
+            vendor_id,
+            user_id,
+            rating,
+            comment,
+            status,
+            ...flagData,
+            created_at: now
+          }
+        ])
+        .select()
+        .single();
+
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Vendor ID aur rating required hain'
+        message: error.message
       });
     }
 
-    if (rating < 1 || rating > 5) {
+    await attachPhotos(data.id, files);
+
+    const savedMessage = existing ? 'Review successfully updated' : 'Review successfully submitted';
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: status === 'flagged' ? FLAGGED_MESSAGE : savedMessage,
+      review: await loadReviewWithPhotos(data.id) || data
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating review'
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit own review (multipart `photos` files are added to the review,
+//          `remove_photo_ids` drops uploaded photos)
+// @access  Private (Author only)
+router.put('/:id', requireAuth, photoUpload, validate(schemas.update), requireReviewAuthor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = {};
+
+    for (const field of ['rating', 'comment']) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
+
+    const files = req.files || [];
+    const removePhotoIds = (req.body.remove_photo_ids || []).map(String);
+
+    if (Object.keys(updateData).length === 0 && files.length === 0 && removePhotoIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    // Kept photos plus new uploads must stay within the per-review limit
+    const photoIds = await listReviewPhotoIds(id);
+    const removedIds = photoIds.filter((photoId) => removePhotoIds.includes(photoId));
+
+    if (photoIds.length - removedIds.length + files.length > MAX_REVIEW_PHOTOS) {
+      return tooManyPhotos(res);
+    }
+
+    const reasons = updateData.comment !== undefined
+      ? await detectReviewIssues(updateData.comment, id)
+      : [];
+
+    updateData.status = moderationStatus(req.review.status, reasons);
+    if (reasons.length > 0) {
+      updateData.flag_reasons = reasons;
+    }
+
+    const { data, error } = await supabase
+      .from('reviews')
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Rating 1 se 5 ke beech honi chahiye'
+        message: error.message
+      });
+    }
+
+    if (removedIds.length > 0) {
+      const { error: photoError } = await supabaseAdmin
+        .from('media')
+        .delete()
+        .eq('review_id', id)
+        .in('id', removedIds);
+
+      if (photoError) {
+        console.error('Error removing review photos:', photoError);
+      }
+    }
+
+    await attachPhotos(id, files);
+
+    res.json({
+      success: true,
+      message: updateData.status === 'flagged' ? FLAGGED_MESSAGE : 'Review successfully updated',
+      review: await loadReviewWithPhotos(id) || data
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating review'
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete own review
+// @access  Private (Author only)
+router.delete('/:id', requireAuth, validate(schemas.remove), requireReviewAuthor, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error } = await supabase
+      .from('reviews')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting review'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/reply
+// @desc    Publish (or replace) the vendor's public reply to a review
+// @access  Private (Vendor owner or Admin)
+router.post('/:id/reply', requireRole('vendor', 'admin'), validate(schemas.reply), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reply } = req.body;
+
+    const { data: review, error: findError } = await supabase
+      .from('reviews')
+      .select('id, vendor_id, vendors(owner_id)')
+      .eq('id', id)
+      .single();
+
+    if (findError || !review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && review.vendors?.owner_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the vendor owner can reply to this review'
       });
     }
 
     const { data, error } = await supabase
       .from('reviews')
+      .update({
+        vendor_reply: reply,
+        vendor_reply_by: req.user.id,
+        vendor_reply_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply published successfully',
+      review: data
+    });
+
+  } catch (error) {
+    console.error('Review reply error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error publishing reply'
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id/vote
+// @desc    Mark a review helpful or unhelpful (one vote per user, re-voting changes it)
+// @access  Private
+router.put('/:id/vote', requireAuth, validate(schemas.vote), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { helpful } = req.body;
+
+    const { data: review, error: findError } = await supabase
+      .from('reviews')
+      .select('id, user_id')
+      .eq('id', id)
+      .eq('status', 'published')
+      .single();
+
+    if (findError || !review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
+
+    // Written with the service client (the anon client has no user session for RLS);
+    // user_id always comes from req.user
+    const { error } = await supabaseAdmin
+      .from('review_votes')
+      .upsert({
+        review_id: id,
+        user_id: req.user.id,
+        helpful,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'review_id,user_id' });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { data: counts } = await supabase
+      .from('reviews')
+      .select('helpful_count, unhelpful_count')
+      .eq('id', id)
+      .single();
+
+    res.json({
+      success: true,
+      message: 'Vote recorded',
+      vote: { review_id: id, helpful },
+      ...counts
+    });
+
+  } catch (error) {
+    console.error('Vote review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error voting on review'
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id/vote
+// @desc    Remove your vote from a review
+// @access  Private
+router.delete('/:id/vote', requireAuth, validate(schemas.removeVote), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabaseAdmin
+      .from('review_votes')
+      .delete()
+      .eq('review_id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vote not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote removed'
+    });
+
+  } catch (error) {
+    console.error('Remove review vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing vote'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/report
+// @desc    Report a review (spam, offensive, fake, ...); enough reports send it to moderation
+// @access  Private
+router.post('/:id/report', requireAuth, validate(schemas.report), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, details } = req.body;
+
+    const { data: review, error: findError } = await supabase
+      .from('reviews')
+      .select('id, user_id, status')
+      .eq('id', id)
+      .single();
+
+    if (findError || !review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    // The shared anon client carries no user session, so RLS would reject this insert;
+    // the reporter was checked above and reporter_id is set from req.user
+    const { error } = await supabaseAdmin
+      .from('review_reports')
       .insert([
         {
-          vendor_id,
-          user_id,
-          rating,
-          comment,
-          photos,
+          review_id: id,
+          reporter_id: req.user.id,
+          reason,
+          details: details || null,
           created_at: new Date().toISOString()
         }
-      ])
-      .select()
-      .single();
+      ]);
 
     if (error) {
+      // Unique (review_id, reporter_id): one report per user
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reported this review'
+        });
+      }
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
 
+    // Count every user's reports, which RLS hides from the anon client
+    const { count } = await supabaseAdmin
+      .from('review_reports')
+      .select('*', { count: 'exact', head: true })
+      .eq('review_id', id);
+
+    if (review.status === 'published' && count >= REPORT_FLAG_THRESHOLD) {
+      const { error: flagError } = await supabaseAdmin
+        .from('reviews')
+        .update({
+          status: 'flagged',
+          flag_reasons: ['reported']
+        })
+        .eq('id', id);
+
+      if (flagError) {
+        console.error('Error flagging reported review:', flagError);
+      }
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Review successfully submitted',
-      review: data
+      message: 'Thank you! Report admin team ko bhej diya gaya hai.'
     });
 
   } catch (error) {
-    console.error('Create review error:', error);
+    console.error('Report review error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error creating review'
+      message: 'Server error reporting review'
     });
   }
 });
@@ -1,22 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/scraper');
 
 // @route   POST /api/scraper/start
 // @desc    Start automated data collection
 // @access  Private (Admin only)
-router.post('/start', async (req, res) => {
+router.post('/start', validate(schemas.start), async (req, res) => {
   try {
     const { source, data_type, location } = req.body;
 
-    // Validate input
-    if (!source || !data_type) {
-      return res.status(400).json({
-        success: false,
-        message: 'Source aur data type required hain'
-      });
-    }
-
     // Log scraping job
     const { data: jobData, error: jobError } = await supabase
       .from('scraping_jobs')
@@ -65,7 +59,7 @@ router.post('/start', async (req, res) => {
 // @route   GET /api/scraper/jobs
 // @desc    Get scraping job status
 // @access  Private
-router.get('/jobs', async (req, res) => {
+router.get('/jobs', validate(schemas.jobs), async (req, res) => {
   try {
     const { status, limit = 20, offset = 0 } = req.query;
 
@@ -78,7 +72,7 @@ router.get('/jobs', async (req, res) => {
       query = query.eq('status', status);
     }
 
-    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    query = query.range(offset, offset + limit - 1);
 
     const { data, error } = await query;
 
@@ -107,7 +101,7 @@ router.get('/jobs', async (req, res) => {
 // @route   GET /api/scraper/stats
 // @desc    Get scraping statistics
 // @access  Private
-router.get('/stats', async (req, res) => {
+router.get('/stats', validate(schemas.stats), async (req, res) => {
   try {
     // Get total counts
     const { data: vendorCount } = await supabase
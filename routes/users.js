@@ -0,0 +1,637 @@
+const express = require('express');
+const router = express.Router();
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/users');
+
+// Vendor columns shown for favourites and list entries
+const VENDOR_SUMMARY = 'id, name, city, cuisine_type, rating, review_count, price_range, deleted_at';
+
+// List fields the owner may change
+const LIST_FIELDS = ['name', 'description', 'is_public'];
+
+// List with its vendors, in list order
+const LIST_SELECT = `
+  *,
+  items:vendor_list_items(position, note, added_at, vendors(${VENDOR_SUMMARY}))
+`;
+
+// URL-safe slug from a list name plus a random suffix so names can repeat
+const slugify = (name) => {
+  const base = name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 120);
+
+  return `${base || 'list'}-${Math.random().toString(36).substring(2, 8)}`;
+};
+
+// Flatten list items to vendors (with position/note), dropping deleted vendors
+const withListVendors = ({ items, ...list }) => ({
+  ...list,
+  vendors: (items || [])
+    .filter(item => item.vendors && !item.vendors.deleted_at)
+    .sort((a, b) => a.position - b.position)
+    .map(({ vendors: { deleted_at, ...vendor }, position, note, added_at }) => ({
+      ...vendor,
+      position,
+      note,
+      added_at
+    }))
+});
+
+// Load one of the current user's lists; null if it doesn't exist or isn't theirs
+const findOwnList = async (listId, userId) => {
+  const { data } = await supabaseAdmin
+    .from('vendor_lists')
+    .select('id, user_id')
+    .eq('id', listId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return data;
+};
+
+// Non-deleted vendor exists
+const vendorExists = async (vendorId) => {
+  const { data } = await supabase
+    .from('vendors')
+    .select('id')
+    .eq('id', vendorId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  return Boolean(data);
+};
+
+// @route   GET /api/users/lists/:slug
+// @desc    View a shared (public) vendor list
+// @access  Public
+router.get('/lists/:slug', validate(schemas.publicList), async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const { data, error } = await supabase
+      .from('vendor_lists')
+      .select(LIST_SELECT)
+      .eq('slug', slug)
+      .eq('is_public', true)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    const { user_id, ...list } = withListVendors(data);
+
+    res.json({
+      success: true,
+      list
+    });
+
+  } catch (error) {
+    console.error('Get public list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting list'
+    });
+  }
+});
+
+// Everything below is the signed-in user's own data. The shared anon client carries no
+// user session, so RLS (auth.uid()) would hide or reject it; these queries use the
+// service client and every one is scoped to req.user.id (directly or via findOwnList).
+router.use('/me', requireAuth);
+
+// @route   GET /api/users/me/favorites
+// @desc    Get the current user's favourite vendors, most recently saved first
+// @access  Private
+router.get('/me/favorites', validate(schemas.favorites), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+
+    const { data, error } = await supabaseAdmin
+      .from('favorites')
+      .select(`created_at, vendors(${VENDOR_SUMMARY})`)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const favorites = data
+      .filter(favorite => favorite.vendors && !favorite.vendors.deleted_at)
+      .map(({ created_at, vendors: { deleted_at, ...vendor } }) => ({
+        ...vendor,
+        favorited_at: created_at
+      }));
+
+    res.json({
+      success: true,
+      count: favorites.length,
+      favorites
+    });
+
+  } catch (error) {
+    console.error('Get favorites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting favorites'
+    });
+  }
+});
+
+// @route   POST /api/users/me/favorites/:vendorId
+// @desc    Add a vendor to favourites (repeating is a no-op)
+// @access  Private
+router.post('/me/favorites/:vendorId', validate(schemas.favorite), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+
+    if (!await vendorExists(vendorId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('favorites')
+      .upsert({
+        user_id: req.user.id,
+        vendor_id: vendorId,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'user_id,vendor_id', ignoreDuplicates: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to favorites',
+      vendor_id: vendorId,
+      is_favorited: true
+    });
+
+  } catch (error) {
+    console.error('Add favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding favorite'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/favorites/:vendorId
+// @desc    Remove a vendor from favourites
+// @access  Private
+router.delete('/me/favorites/:vendorId', validate(schemas.favorite), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+
+    const { error } = await supabaseAdmin
+      .from('favorites')
+      .delete()
+      .eq('user_id', req.user.id)
+      .eq('vendor_id', vendorId);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from favorites',
+      vendor_id: vendorId,
+      is_favorited: false
+    });
+
+  } catch (error) {
+    console.error('Remove favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing favorite'
+    });
+  }
+});
+
+// @route   GET /api/users/me/lists
+// @desc    Get the current user's vendor lists
+// @access  Private
+router.get('/me/lists', validate(schemas.lists), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+
+    const { data, error } = await supabaseAdmin
+      .from('vendor_lists')
+      .select('*, vendor_list_items(count)')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const lists = data.map(({ vendor_list_items, ...list }) => ({
+      ...list,
+      vendor_count: vendor_list_items?.[0]?.count || 0
+    }));
+
+    res.json({
+      success: true,
+      count: lists.length,
+      lists
+    });
+
+  } catch (error) {
+    console.error('Get lists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting lists'
+    });
+  }
+});
+
+// @route   POST /api/users/me/lists
+// @desc    Create a named vendor list (e.g. "Delhi chaat crawl")
+// @access  Private
+router.post('/me/lists', validate(schemas.createList), async (req, res) => {
+  try {
+    const { name, description, is_public } = req.body;
+
+    const { data, error } = await supabaseAdmin
+      .from('vendor_lists')
+      .insert([
+        {
+          user_id: req.user.id,
+          name,
+          description,
+          slug: slugify(name),
+          is_public: is_public || false,
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'List created',
+      list: { ...data, vendors: [] }
+    });
+
+  } catch (error) {
+    console.error('Create list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating list'
+    });
+  }
+});
+
+// @route   GET /api/users/me/lists/:listId
+// @desc    Get one of the current user's lists with its vendors
+// @access  Private
+router.get('/me/lists/:listId', validate(schemas.getList), async (req, res) => {
+  try {
+    const { listId } = req.params;
+
+    const { data, error } = await supabaseAdmin
+      .from('vendor_lists')
+      .select(LIST_SELECT)
+      .eq('id', listId)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      list: withListVendors(data)
+    });
+
+  } catch (error) {
+    console.error('Get list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting list'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/lists/:listId
+// @desc    Rename a list, change its description or make it public/private
+// @access  Private
+router.put('/me/lists/:listId', validate(schemas.updateList), async (req, res) => {
+  try {
+    const { listId } = req.params;
+
+    const updateData = {};
+    for (const field of LIST_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('vendor_lists')
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', listId)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'List updated',
+      list: data
+    });
+
+  } catch (error) {
+    console.error('Update list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating list'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/lists/:listId
+// @desc    Delete a list
+// @access  Private
+router.delete('/me/lists/:listId', validate(schemas.removeList), async (req, res) => {
+  try {
+    const { listId } = req.params;
+
+    const { data, error } = await supabaseAdmin
+      .from('vendor_lists')
+      .delete()
+      .eq('id', listId)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'List deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting list'
+    });
+  }
+});
+
+// @route   POST /api/users/me/lists/:listId/vendors
+// @desc    Add a vendor to the end of a list
+// @access  Private
+router.post('/me/lists/:listId/vendors', validate(schemas.addListVendor), async (req, res) => {
+  try {
+    const { listId } = req.params;
+    const { vendor_id, note } = req.body;
+
+    if (!await findOwnList(listId, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    if (!await vendorExists(vendor_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const { data: last } = await supabaseAdmin
+      .from('vendor_list_items')
+      .select('position')
+      .eq('list_id', listId)
+      .order('position', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const { error } = await supabaseAdmin
+      .from('vendor_list_items')
+      .insert([
+        {
+          list_id: listId,
+          vendor_id,
+          note: note || null,
+          position: last ? last.position + 1 : 0,
+          added_at: new Date().toISOString()
+        }
+      ]);
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Vendor is already in this list'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Vendor added to list'
+    });
+
+  } catch (error) {
+    console.error('Add list vendor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding vendor to list'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/lists/:listId/vendors/:vendorId
+// @desc    Remove a vendor from a list
+// @access  Private
+router.delete('/me/lists/:listId/vendors/:vendorId', validate(schemas.removeListVendor), async (req, res) => {
+  try {
+    const { listId, vendorId } = req.params;
+
+    if (!await findOwnList(listId, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('vendor_list_items')
+      .delete()
+      .eq('list_id', listId)
+      .eq('vendor_id', vendorId)
+      .select('vendor_id');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor is not in this list'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vendor removed from list'
+    });
+
+  } catch (error) {
+    console.error('Remove list vendor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing vendor from list'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/lists/:listId/order
+// @desc    Reorder a list; vendor_ids must contain every vendor in the list exactly once
+// @access  Private
+router.put('/me/lists/:listId/order', validate(schemas.reorderList), async (req, res) => {
+  try {
+    const { listId } = req.params;
+    const { vendor_ids } = req.body;
+
+    if (!await findOwnList(listId, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    const { data: items, error: itemsError } = await supabaseAdmin
+      .from('vendor_list_items')
+      .select('vendor_id')
+      .eq('list_id', listId);
+
+    if (itemsError) {
+      return res.status(400).json({
+        success: false,
+        message: itemsError.message
+      });
+    }
+
+    const current = new Set(items.map(item => String(item.vendor_id)));
+    const requested = new Set(vendor_ids.map(String));
+
+    if (requested.size !== vendor_ids.length || requested.size !== current.size ||
+      [...requested].some(vendorId => !current.has(vendorId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'vendor_ids must list every vendor in the list exactly once'
+      });
+    }
+
+    for (const [position, vendorId] of vendor_ids.entries()) {
+      const { error } = await supabaseAdmin
+        .from('vendor_list_items')
+        .update({ position })
+        .eq('list_id', listId)
+        .eq('vendor_id', vendorId);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'List reordered'
+    });
+
+  } catch (error) {
+    console.error('Reorder list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reordering list'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,199 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const { requireOwnedVendor, ownedVendorIds } = require('../middleware/vendor-access');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/vendor-promotions');
+const { getPaymentProvider, toPaise } = require('../utils/payments');
+const { rateLimit } = require('../middleware/rate-limit');
+const rateLimits = require('../config/rate-limits');
+const {
+  activatePromotion,
+  applyPaidChange,
+  computeRefund,
+  durationLabel,
+  recordPromotionEvents,
+  recordTransaction,
+  refundPayment,
+  refundUnappliedPayment,
+  remainingValue,
+  roundAmount,
+  startPaidChange
+} = require('../utils/promotions');
+
+// Package as shown to vendors, with the duration label the app displays
+const withPackageDetails = (pkg) => ({
+  ...pkg,
+  price: Number(pkg.price),
+  duration: durationLabel(pkg.duration_days)
+});
+
+// Charges that can be refunded, newest first
+const CHARGE_TYPES = ['purchase', 'upgrade', 'renewal'];
+
+// The caller's active (not yet past end_date) promotion, or null
+const loadActivePromotion = async (id, userId) => {
+  const vendorIds = await ownedVendorIds(userId);
+
+  const { data: promotion } = await supabase
+    .from('vendor_promotions')
+    .select('*')
+    .eq('id', id)
+    .in('vendor_id', vendorIds)
+    .eq('status', 'active')
+    .gt('end_date', new Date().toISOString())
+    .maybeSingle();
+
+  return promotion;
+};
+
+// Refund up to `amount` of a promotion's charges, newest charge first, never more than
+// was paid less earlier refunds. Each attempt is recorded as a refund transaction.
+// Returns the amount actually refunded and whether any refund call failed.
+const refundPromotion = async (promotion, amount) => {
+  const { data: ledger, error } = await supabaseAdmin
+    .from('promotion_transactions')
+    .select('*')
+    .eq('promotion_id', promotion.id)
+    .eq('status', 'completed')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  let charges = ledger.filter((entry) => CHARGE_TYPES.includes(entry.type) && entry.payment_id && Number(entry.amount) > 0);
+
+  // Promotions paid before the ledger existed only have their purchase payment
+  if (charges.length === 0 && promotion.payment_id) {
+    charges = [{ payment_id: promotion.payment_id, amount: promotion.package_price }];
+  }
+
+  const refundedByPayment = {};
+  ledger
+    .filter((entry) => entry.type === 'refund')
+    .forEach((entry) => {
+      refundedByPayment[entry.payment_id] = (refundedByPayment[entry.payment_id] || 0) + Number(entry.amount);
+    });
+
+  let left = amount;
+  let refunded = 0;
+  let failed = false;
+
+  for (const charge of charges) {
+    const refundable = roundAmount(Number(charge.amount) - (refundedByPayment[charge.payment_id] || 0));
+    const take = roundAmount(Math.min(left, refundable));
+
+    if (take <= 0) {
+      continue;
+    }
+
+    if (await refundPayment({ promotion, paymentId: charge.payment_id, amount: take, reason: 'cancellation' })) {
+      left = roundAmount(left - take);
+      refunded = roundAmount(refunded + take);
+    } else {
+      failed = true;
+    }
+
+    if (left <= 0) {
+      break;
+    }
+  }
+
+  return { refunded, failed };
+};
+
+// Apply a verified webhook event to the promotion, upgrade or renewal paid through its order
+const handlePaymentEvent = async ({ type, orderId, paymentId }) => {
+  if (!orderId) {
+    return;
+  }
+
+  const { data: promotion, error } = await supabaseAdmin
+    .from('vendor_promotions')
+    .select('*')
+    .eq('payment_order_id', orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!promotion) {
+    const { data: transaction, error: transactionError } = await supabaseAdmin
+      .from('promotion_transactions')
+      .select('*')
+      .eq('order_id', orderId)
+      .maybeSingle();
+
+    if (transactionError) {
+      throw transactionError;
+    }
+
+    // A failed upgrade/renewal payment stays pending so the vendor can retry checkout
+    if (!transaction || type !== 'payment.captured') {
+      return;
+    }
+
+    if (transaction.status === 'cancelled') {
+      await refundUnappliedPayment({
+        promotion: { id: transaction.promotion_id, vendor_id: transaction.vendor_id, package_id: transaction.package_id },
+        paymentId,
+        amount: transaction.amount,
+        reason: `${transaction.type}_cancelled`
+      });
+    } else {
+      await applyPaidChange(transaction, paymentId);
+    }
+    return;
+  }
+
+  // Paid after the vendor cancelled the purchase
+  if (promotion.status === 'cancelled' && type === 'payment.captured' && !promotion.payment_id) {
+    await refundUnappliedPayment({
+      promotion,
+      paymentId,
+      amount: promotion.package_price,
+      reason: 'purchase_cancelled'
+    });
+    return;
+  }
+
+  if (promotion.status !== 'pending_payment') {
+    return;
+  }
+
+  if (type === 'payment.captured') {
+    await activatePromotion(promotion, paymentId);
+  } else if (type === 'payment.failed') {
+    // The promotion stays pending_payment so the vendor can retry checkout
+    const { error: failError } = await supabaseAdmin
+      .from('vendor_promotions')
+      .update({ payment_status: 'failed' })
+      .eq('id', promotion.id)
+      .eq('status', 'pending_payment');
+
+    if (failError) {
+      throw failError;
+    }
+  }
+};
 
 // @route   GET /api/vendor-promotions
 // @desc    Get vendor's active promotions
 // @access  Private (Vendor only)
-router.get('/', async (req, res) => {
+router.get('/', requireRole('vendor'), validate(schemas.list), async (req, res) => {
   try {
-    const vendorId = req.user?.id; // Assuming auth middleware sets user
-
-    if (!vendorId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
+    const { limit, offset } = req.query;
+    const vendorIds = await ownedVendorIds(req.user.id);
 
     const { data: promotions, error } = await supabase
       .from('vendor_promotions')
       .select('*')
-      .eq('vendor_id', vendorId)
-      .order('created_at', { ascending: false });
+      .in('vendor_id', vendorIds)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
 
     if (error) {
       return res.status(400).json({
@@ -44,80 +217,79 @@ router.get('/', async (req, res) => {
 });
 
 // @route   POST /api/vendor-promotions/purchase
-// @desc    Purchase promotion package
+// @desc    Start a promotion purchase: creates a pending_payment promotion and a payment
+//          order, and returns the checkout options for the app
 // @access  Private (Vendor only)
-router.post('/purchase', async (req, res) => {
+router.post('/purchase', requireRole('vendor'), validate(schemas.purchase), requireOwnedVendor, async (req, res) => {
   try {
-    const vendorId = req.user?.id;
-    const {
-      package_id,
-      package_name,
-      package_price,
-      package_duration,
-      payment_method = 'test'
-    } = req.body;
-
-    if (!vendorId) {
-      return res.status(401).json({
+    const vendorId = req.vendor.id;
+    const { package_id } = req.body;
+
+    // Price and duration always come from the stored package, never the client
+    const { data: pkg } = await supabase
+      .from('promotion_packages')
+      .select('*')
+      .eq('id', package_id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (!pkg) {
+      return res.status(404).json({
         success: false,
-        message: 'Authentication required'
+        message: 'Promotion package not found'
       });
     }
 
-    // Validate required fields
-    if (!package_id || !package_name || !package_price || !package_duration) {
-      return res.status(400).json({
+    // One checkout at a time, so several pending purchases can't all be paid
+    const { data: pendingPromotion } = await supabase
+      .from('vendor_promotions')
+      .select('*')
+      .eq('vendor_id', vendorId)
+      .eq('status', 'pending_payment')
+      .maybeSingle();
+
+    if (pendingPromotion) {
+      return res.status(409).json({
         success: false,
-        message: 'Package details are required'
+        message: 'You already have a promotion awaiting payment. Complete or cancel it first.',
+        promotion: pendingPromotion
       });
     }
 
-    // Check if vendor already has an active promotion
+    // Check if vendor already has an active promotion (ignoring ones past end_date that
+    // the scheduler hasn't expired yet)
     const { data: existingPromotion } = await supabase
       .from('vendor_promotions')
       .select('*')
       .eq('vendor_id', vendorId)
       .eq('status', 'active')
-      .single();
+      .gt('end_date', new Date().toISOString())
+      .maybeSingle();
 
     if (existingPromotion) {
       return res.status(400).json({
         success: false,
-        message: 'You already have an active promotion. Please wait for it to expire.'
+        message: 'You already have an active promotion. Upgrade or renew it instead.'
       });
     }
 
-    // Calculate end date based on duration
-    const startDate = new Date();
-    const endDate = new Date();
-    
-    if (package_duration === '1 Month') {
-      endDate.setMonth(endDate.getMonth() + 1);
-    } else if (package_duration === '3 Months') {
-      endDate.setMonth(endDate.getMonth() + 3);
-    } else if (package_duration === '6 Months') {
-      endDate.setMonth(endDate.getMonth() + 6);
-    }
+    const provider = getPaymentProvider();
 
-    // For testing - simulate payment processing
-    const paymentId = 'pay_' + Math.random().toString(36).substr(2, 9);
-    
-    // Insert promotion record
+    // Insert promotion record; it becomes active once the payment is verified
     const { data: promotion, error: insertError } = await supabase
       .from('vendor_promotions')
       .insert([
         {
           vendor_id: vendorId,
-          package_id,
-          package_name,
-          package_price: parseFloat(package_price),
-          package_duration,
-          start_date: startDate.toISOString(),
-          end_date: endDate.toISOString(),
-          status: 'active',
-          payment_id: paymentId,
-          payment_method,
-          payment_status: 'completed',
+          package_id: pkg.id,
+          package_name: pkg.name,
+          package_price: pkg.price,
+          package_duration: durationLabel(pkg.duration_days),
+          duration_days: pkg.duration_days,
+          status: 'pending_payment',
+          payment_method: provider.name,
+          payment_provider: provider.name,
+          payment_status: 'pending',
           created_at: new Date().toISOString()
         }
       ])
@@ -125,33 +297,60 @@ router.post('/purchase', async (req, res) => {
       .single();
 
     if (insertError) {
+      // Partial unique index: a concurrent purchase for this vendor got there first
+      if (insertError.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a promotion awaiting payment. Complete or cancel it first.'
+        });
+      }
       return res.status(400).json({
         success: false,
         message: insertError.message
       });
     }
 
-    // Update vendor profile to mark as featured
-    const { error: updateError } = await supabase
-      .from('vendors')
-      .update({
-        is_featured: true,
-        promotion_tier: package_id,
-        featured_until: endDate.toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', vendorId);
+    let order;
+    try {
+      order = await provider.createOrder({
+        amount: toPaise(pkg.price),
+        currency: 'INR',
+        receipt: promotion.id,
+        notes: { promotion_id: promotion.id, vendor_id: vendorId }
+      });
+    } catch (orderError) {
+      console.error('Payment order error:', orderError.response?.data || orderError.message);
 
-    if (updateError) {
-      console.error('Error updating vendor profile:', updateError);
-      // Don't fail the request, just log the error
+      await supabase
+        .from('vendor_promotions')
+        .update({ status: 'cancelled', payment_status: 'failed' })
+        .eq('id', promotion.id);
+
+      return res.status(502).json({
+        success: false,
+        message: 'Payment gateway error, please try again'
+      });
+    }
+
+    const { data: pending, error: orderSaveError } = await supabase
+      .from('vendor_promotions')
+      .update({ payment_order_id: order.id })
+      .eq('id', promotion.id)
+      .select()
+      .single();
+
+    if (orderSaveError) {
+      return res.status(400).json({
+        success: false,
+        message: orderSaveError.message
+      });
     }
 
     res.status(201).json({
       success: true,
-      message: 'Promotion purchased successfully!',
-      promotion,
-      payment_id: paymentId
+      message: 'Complete the payment to activate your promotion',
+      promotion: pending,
+      payment: provider.checkoutOptions(order)
     });
 
   } catch (error) {
@@ -163,65 +362,569 @@ router.post('/purchase', async (req, res) => {
   }
 });
 
+// @route   POST /api/vendor-promotions/verify
+// @desc    Checkout callback: verify the payment signature and activate the promotion,
+//          or apply the upgrade/renewal paid through order_id
+// @access  Private (Vendor only)
+router.post('/verify', requireRole('vendor'), validate(schemas.verify), async (req, res) => {
+  try {
+    const { promotion_id, order_id, payment_id, signature } = req.body;
+
+    const { data: promotion } = await supabase
+      .from('vendor_promotions')
+      .select('*')
+      .eq('id', promotion_id)
+      .maybeSingle();
+
+    const vendorIds = await ownedVendorIds(req.user.id);
+
+    if (!promotion || !vendorIds.includes(promotion.vendor_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    let transaction = null;
+
+    if (promotion.payment_order_id !== order_id) {
+      const { data } = await supabaseAdmin
+        .from('promotion_transactions')
+        .select('*')
+        .eq('order_id', order_id)
+        .eq('promotion_id', promotion.id)
+        .maybeSingle();
+
+      if (!data) {
+        return res.status(400).json({
+          success: false,
+          message: 'Order does not match this promotion'
+        });
+      }
+
+      transaction = data;
+    }
+
+    if (!getPaymentProvider().verifyPayment({ orderId: order_id, paymentId: payment_id, signature })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed'
+      });
+    }
+
+    if (transaction) {
+      // Already applied by an earlier callback or the webhook
+      if (transaction.status === 'completed' && transaction.payment_id === payment_id) {
+        return res.json({
+          success: true,
+          message: `Promotion ${transaction.type} already applied`,
+          promotion
+        });
+      }
+
+      if (transaction.status === 'cancelled') {
+        const refunded = await refundUnappliedPayment({
+          promotion,
+          paymentId: payment_id,
+          amount: transaction.amount,
+          reason: `${transaction.type}_cancelled`
+        });
+
+        return res.status(409).json({
+          success: false,
+          message: `Promotion ${transaction.type} was cancelled; ${refunded ? 'your payment has been refunded' : 'our team will refund your payment'}`
+        });
+      }
+
+      if (transaction.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Promotion ${transaction.type} is ${transaction.status}`
+        });
+      }
+
+      const result = await applyPaidChange(transaction, payment_id);
+
+      if (result?.refused) {
+        return res.status(409).json({
+          success: false,
+          message: `Promotion ${transaction.type} can no longer be applied; ${result.refunded ? 'your payment has been refunded' : 'our team will refund your payment'}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: transaction.type === 'upgrade' ? 'Promotion upgraded successfully!' : 'Promotion renewed successfully!',
+        promotion: result?.promotion || promotion,
+        payment_id
+      });
+    }
+
+    // Already activated by an earlier callback or the webhook
+    if (promotion.status === 'active' && promotion.payment_id === payment_id) {
+      return res.json({
+        success: true,
+        message: 'Promotion is already active',
+        promotion
+      });
+    }
+
+    if (promotion.status === 'cancelled' && !promotion.payment_id) {
+      const refunded = await refundUnappliedPayment({
+        promotion,
+        paymentId: payment_id,
+        amount: promotion.package_price,
+        reason: 'purchase_cancelled'
+      });
+
+      return res.status(409).json({
+        success: false,
+        message: `Promotion was cancelled; ${refunded ? 'your payment has been refunded' : 'our team will refund your payment'}`
+      });
+    }
+
+    if (promotion.status !== 'pending_payment') {
+      return res.status(409).json({
+        success: false,
+        message: `Promotion is ${promotion.status}`
+      });
+    }
+
+    const activated = await activatePromotion(promotion, payment_id);
+
+    if (!activated) {
+      const { data: current } = await supabaseAdmin
+        .from('vendor_promotions')
+        .select('*')
+        .eq('id', promotion.id)
+        .single();
+
+      // activatePromotion refuses to stack promotions and refunds instead
+      if (current?.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have an active promotion; this payment has been refunded',
+          promotion: current
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion purchased successfully!',
+      promotion: activated || promotion,
+      payment_id
+    });
+
+  } catch (error) {
+    console.error('Promotion payment verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/vendor-promotions/webhook
+// @desc    Payment provider webhook (signed); each event is processed once, replays are ignored
+// @access  Public (signature checked)
+router.post('/webhook', validate(schemas.webhook), async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    // Signatures cover the exact bytes received (req.rawBody, kept by express.json in server.js)
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = provider.parseWebhook(req.body, req.headers);
+
+    if (!event.eventId || !event.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Malformed webhook event'
+      });
+    }
+
+    const { data: recorded, error: recordError } = await supabaseAdmin
+      .from('payment_events')
+      .insert([
+        {
+          provider: provider.name,
+          event_id: event.eventId,
+          type: event.type,
+          order_id: event.orderId || null,
+          payment_id: event.paymentId || null,
+          payload: req.body,
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select('id')
+      .single();
+
+    if (recordError) {
+      // Unique (provider, event_id): this delivery was already handled
+      if (recordError.code === '23505') {
+        return res.json({
+          success: true,
+          message: 'Event already processed'
+        });
+      }
+      throw recordError;
+    }
+
+    try {
+      await handlePaymentEvent(event);
+    } catch (handleError) {
+      // Forget the event so the provider's retry is processed again
+      await supabaseAdmin.from('payment_events').delete().eq('id', recorded.id);
+      throw handleError;
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/vendor-promotions/packages
 // @desc    Get available promotion packages
 // @access  Public
-router.get('/packages', async (req, res) => {
+router.get('/packages', validate(schemas.packages), async (req, res) => {
   try {
-    const packages = [
-      {
-        id: 'basic',
-        name: 'Basic Boost',
-        price: 2999,
-        duration: '1 Month',
-        features: [
-          'Featured in search results',
-          'Homepage banner (2 days)',
-          'Social media mentions',
-          'Basic analytics'
-        ],
-        color: 'blue',
-        popular: false
-      },
-      {
-        id: 'premium',
-        name: 'Premium Push',
-        price: 7999,
-        duration: '3 Months',
-        features: [
-          'Top search placement',
-          'Homepage banner (1 week)',
-          'Vlogger collaboration priority',
-          'Advanced analytics',
-          'Customer review highlights'
-        ],
-        color: 'orange',
-        popular: true
+    const { data, error } = await supabase
+      .from('promotion_packages')
+      .select('*')
+      .eq('is_active', true)
+      .order('display_order', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      packages: data.map(withPackageDetails)
+    });
+
+  } catch (error) {
+    console.error('Get packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/vendor-promotions/:id/click
+// @desc    Count a click on a sponsored listing (promotion_id from the GET /api/vendors item)
+// @access  Public
+router.post('/:id/click', rateLimit(rateLimits.sponsoredClicks), validate(schemas.click), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: promotion } = await supabase
+      .from('vendor_promotions')
+      .select('id')
+      .eq('id', id)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    await recordPromotionEvents([id], 'click');
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Promotion click error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/vendor-promotions/:id/stats
+// @desc    Daily sponsored impressions and clicks for one of the vendor's promotions
+// @access  Private (Vendor only)
+router.get('/:id/stats', requireRole('vendor'), validate(schemas.stats), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const vendorIds = await ownedVendorIds(req.user.id);
+
+    const { data: promotion } = await supabase
+      .from('vendor_promotions')
+      .select('id, vendor_id, package_name, start_date, end_date, status')
+      .eq('id', id)
+      .in('vendor_id', vendorIds)
+      .maybeSingle();
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const { data: days, error } = await supabaseAdmin
+      .from('promotion_stats')
+      .select('day, impressions, clicks')
+      .eq('promotion_id', id)
+      .order('day', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const impressions = days.reduce((sum, day) => sum + Number(day.impressions), 0);
+    const clicks = days.reduce((sum, day) => sum + Number(day.clicks), 0);
+
+    res.json({
+      success: true,
+      promotion,
+      totals: {
+        impressions,
+        clicks,
+        ctr: impressions > 0 ? Math.round((clicks / impressions) * 10000) / 100 : 0 // percent
       },
-      {
-        id: 'ultimate',
-        name: 'Ultimate Exposure',
-        price: 19999,
-        duration: '6 Months',
-        features: [
-          'Premium placement everywhere',
-          'Dedicated promotion page',
-          'Guaranteed vlogger partnerships',
-          'Complete analytics suite',
-          'Personal account manager'
-        ],
-        color: 'purple',
-        popular: false
+      days
+    });
+
+  } catch (error) {
+    console.error('Promotion stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/vendor-promotions/:id/upgrade
+// @desc    Upgrade an active promotion to a higher-priced package. The unused value of the
+//          current period is credited; the rest is paid through checkout (applied at once
+//          if the credit covers it). The new package's period starts on payment.
+// @access  Private (Vendor only)
+router.post('/:id/upgrade', requireRole('vendor'), validate(schemas.upgrade), async (req, res) => {
+  try {
+    const promotion = await loadActivePromotion(req.params.id, req.user.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active promotion not found'
+      });
+    }
+
+    const { data: pkg } = await supabase
+      .from('promotion_packages')
+      .select('*')
+      .eq('id', req.body.package_id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (!pkg) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion package not found'
+      });
+    }
+
+    if (Number(pkg.price) <= Number(promotion.package_price)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a higher-priced package to upgrade'
+      });
+    }
+
+    const credit = remainingValue(promotion);
+    const amountDue = roundAmount(Math.max(Number(pkg.price) - credit, 0));
+
+    if (amountDue === 0) {
+      const transaction = await recordTransaction({
+        promotion_id: promotion.id,
+        vendor_id: promotion.vendor_id,
+        type: 'upgrade',
+        status: 'pending',
+        amount: 0,
+        credit,
+        package_id: pkg.id,
+        details: { package_name: pkg.name, package_price: Number(pkg.price), duration_days: pkg.duration_days }
+      });
+
+      const result = await applyPaidChange(transaction, null);
+
+      if (!result?.promotion) {
+        return res.status(409).json({
+          success: false,
+          message: 'Promotion was changed, please try again'
+        });
       }
-    ];
+
+      return res.json({
+        success: true,
+        message: 'Promotion upgraded successfully!',
+        promotion: result.promotion,
+        credit,
+        amount_due: 0
+      });
+    }
+
+    const { transaction, payment } = await startPaidChange({
+      promotion,
+      type: 'upgrade',
+      pkg,
+      amount: amountDue,
+      credit
+    });
+
+    if (!payment) {
+      return res.status(502).json({
+        success: false,
+        message: 'Payment gateway error, please try again'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Complete the payment to upgrade your promotion',
+      transaction,
+      credit,
+      amount_due: amountDue,
+      payment
+    });
+
+  } catch (error) {
+    console.error('Promotion upgrade error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/vendor-promotions/:id/renew
+// @desc    Renew an active promotion for another period of its package, extending end_date
+//          from the current end once paid
+// @access  Private (Vendor only)
+router.post('/:id/renew', requireRole('vendor'), validate(schemas.renew), async (req, res) => {
+  try {
+    const promotion = await loadActivePromotion(req.params.id, req.user.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active promotion not found'
+      });
+    }
+
+    const { data: pkg } = await supabase
+      .from('promotion_packages')
+      .select('*')
+      .eq('id', promotion.package_id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (!pkg) {
+      return res.status(400).json({
+        success: false,
+        message: 'This package is no longer available. Upgrade to another package instead.'
+      });
+    }
+
+    const { transaction, payment } = await startPaidChange({
+      promotion,
+      type: 'renewal',
+      pkg,
+      amount: Number(pkg.price)
+    });
+
+    if (!payment) {
+      return res.status(502).json({
+        success: false,
+        message: 'Payment gateway error, please try again'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Complete the payment to renew your promotion',
+      transaction,
+      amount_due: Number(pkg.price),
+      payment
+    });
+
+  } catch (error) {
+    console.error('Promotion renew error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/vendor-promotions/:id/auto-renew
+// @desc    Opt an active promotion in or out of auto-renewal (a renewal payment is requested
+//          before it ends)
+// @access  Private (Vendor only)
+router.patch('/:id/auto-renew', requireRole('vendor'), validate(schemas.autoRenew), async (req, res) => {
+  try {
+    const vendorIds = await ownedVendorIds(req.user.id);
+
+    const { data: promotion, error } = await supabase
+      .from('vendor_promotions')
+      .update({ auto_renew: req.body.auto_renew })
+      .eq('id', req.params.id)
+      .in('vendor_id', vendorIds)
+      .eq('status', 'active')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active promotion not found'
+      });
+    }
 
     res.json({
       success: true,
-      packages
+      message: promotion.auto_renew ? 'Auto-renew turned on' : 'Auto-renew turned off',
+      promotion
     });
 
   } catch (error) {
-    console.error('Get packages error:', error);
+    console.error('Promotion auto-renew error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -230,30 +933,48 @@ router.get('/packages', async (req, res) => {
 });
 
 // @route   PATCH /api/vendor-promotions/:id/cancel
-// @desc    Cancel active promotion
+// @desc    Cancel a pending or active promotion. Active ones are refunded per the refund
+//          policy (config/promotion-refunds.js) and the refund is recorded in the ledger.
 // @access  Private (Vendor only)
-router.patch('/:id/cancel', async (req, res) => {
+router.patch('/:id/cancel', requireRole('vendor'), validate(schemas.cancel), async (req, res) => {
   try {
     const { id } = req.params;
-    const vendorId = req.user?.id;
+    const vendorIds = await ownedVendorIds(req.user.id);
+    const now = new Date();
+
+    const { data: current } = await supabase
+      .from('vendor_promotions')
+      .select('*')
+      .eq('id', id)
+      .in('vendor_id', vendorIds)
+      .maybeSingle();
 
-    if (!vendorId) {
-      return res.status(401).json({
+    if (!current) {
+      return res.status(404).json({
         success: false,
-        message: 'Authentication required'
+        message: 'Promotion not found'
       });
     }
 
-    const { data: promotion, error } = await supabase
+    if (!['pending_payment', 'active'].includes(current.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Promotion is already ${current.status}`
+      });
+    }
+
+    // Claim the cancellation first so concurrent requests can't refund twice
+    const { data: cancelled, error } = await supabaseAdmin
       .from('vendor_promotions')
       .update({
         status: 'cancelled',
-        cancelled_at: new Date().toISOString()
+        cancelled_at: now.toISOString(),
+        auto_renew: false
       })
       .eq('id', id)
-      .eq('vendor_id', vendorId)
+      .eq('status', current.status)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
       return res.status(400).json({
@@ -262,6 +983,44 @@ router.patch('/:id/cancel', async (req, res) => {
       });
     }
 
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Promotion was changed, please try again'
+      });
+    }
+
+    // Unpaid upgrade and renewal orders can no longer be applied
+    await supabaseAdmin
+      .from('promotion_transactions')
+      .update({ status: 'cancelled' })
+      .eq('promotion_id', id)
+      .eq('status', 'pending');
+
+    if (current.status === 'pending_payment') {
+      return res.json({
+        success: true,
+        message: 'Promotion cancelled successfully',
+        promotion: cancelled
+      });
+    }
+
+    const { refunded, failed } = await refundPromotion(current, computeRefund(current, now));
+
+    const { data: promotion, error: refundSaveError } = await supabaseAdmin
+      .from('vendor_promotions')
+      .update({
+        refund_amount: refunded,
+        ...(refunded > 0 && { payment_status: 'refunded' })
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (refundSaveError) {
+      console.error('Error saving promotion refund:', refundSaveError);
+    }
+
     // Update vendor profile
     const { error: updateError } = await supabase
       .from('vendors')
@@ -271,7 +1030,7 @@ router.patch('/:id/cancel', async (req, res) => {
         featured_until: null,
         updated_at: new Date().toISOString()
       })
-      .eq('id', vendorId);
+      .eq('id', current.vendor_id);
 
     if (updateError) {
       console.error('Error updating vendor profile:', updateError);
@@ -279,8 +1038,14 @@ router.patch('/:id/cancel', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Promotion cancelled successfully',
-      promotion
+      message: failed
+        ? 'Promotion cancelled. Part of the refund could not be processed and will be handled by our team.'
+        : 'Promotion cancelled successfully',
+      promotion: promotion || cancelled,
+      refund: {
+        amount: refunded,
+        failed
+      }
     });
 
   } catch (error) {
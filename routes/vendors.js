@@ -1,50 +1,485 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireVendorOwner } = require('../middleware/vendor-access');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/vendors');
+const { escapeLikePattern, parseSearchTerms, searchWords, scoreVendor } = require('../utils/search');
+const { distanceKm, boundingBox } = require('../utils/geo');
+const { validateOpeningHours, normalizeOpeningHours, openingStatus } = require('../utils/opening-hours');
+const { recordPromotionEvents } = require('../utils/promotions');
+const sponsoredPlacement = require('../config/sponsored-placement');
+const {
+  imageUpload,
+  documentUpload,
+  handleUploadErrors,
+  storeImageMedia,
+  storeDocumentMedia,
+  PHOTO_COLUMNS,
+  REVIEW_PHOTOS_SELECT,
+  withReviewPhotos,
+  withMenuItemPhoto
+} = require('../utils/media');
+
+// Rows per request when reading every match for a list that is ranked or filtered in memory
+const LIST_BATCH_SIZE = 1000;
+
+// Columns needed to rank search matches and check opening hours before paging
+const RANKING_COLUMNS = 'id, name, cuisine_type, description, specialties, rating, opening_hours';
+
+// Fields a vendor owner may edit
+const OWNER_FIELDS = [
+  'name',
+  'description',
+  'address',
+  'city',
+  'state',
+  'pincode',
+  'latitude',
+  'longitude',
+  'cuisine_type',
+  'contact_phone',
+  'contact_email',
+  'opening_hours',
+  'price_range',
+  'specialties'
+];
+
+// Fields only admins may edit, on top of OWNER_FIELDS
+const ADMIN_FIELDS = ['verified', 'is_featured', 'featured_until', 'promotion_tier', 'owner_id'];
+
+// Menu item fields an owner may set
+const MENU_ITEM_FIELDS = ['name', 'description', 'category', 'price', 'diet', 'spice_level', 'is_available', 'sort_order'];
+
+// Menu items with their photo (see withMenuItemPhoto)
+const MENU_ITEM_SELECT = `*, photo_media:media(${PHOTO_COLUMNS})`;
+
+// Multipart field for a menu item's photo file
+const menuPhotoUpload = handleUploadErrors(imageUpload.single('photo'));
+
+const MAX_CLAIM_DOCUMENTS = 5;
+
+// Multipart field for vendor claim proof documents
+const claimDocumentUpload = handleUploadErrors(documentUpload.array('documents', MAX_CLAIM_DOCUMENTS));
+
+// Public (verified, not deleted) vendors with the data list responses need
+const listVendorsQuery = (columns = `
+    *,
+    media:media(url, type)
+  `) => supabase
+  .from('vendors')
+  .select(columns)
+  .eq('verified', true)
+  .is('deleted_at', null);
+
+// Read every row a query matches, in id-ordered batches, so nothing is cut off before
+// it is sorted or filtered in memory. buildQuery returns a fresh query for each batch.
+const readAllRows = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += LIST_BATCH_SIZE) {
+    const { data, error } = await buildQuery()
+      .order('id', { ascending: true })
+      .range(from, from + LIST_BATCH_SIZE - 1);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    rows.push(...data);
+
+    if (data.length < LIST_BATCH_SIZE) {
+      return { data: rows, error: null };
+    }
+  }
+};
+
+// Load full list rows for a page of vendor ids, in the order given
+const loadVendorPage = async (ids) => {
+  if (ids.length === 0) {
+    return { data: [], error: null };
+  }
+
+  const { data, error } = await listVendorsQuery().in('id', ids);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const byId = new Map(data.map(vendor => [String(vendor.id), vendor]));
+
+  return {
+    data: ids.filter(id => byId.has(String(id))).map(id => byId.get(String(id))),
+    error: null
+  };
+};
+
+// Filters shared by every vendor list endpoint
+const applyListFilters = (query, { cuisine_type, rating_min, dish, veg_only }) => {
+  if (cuisine_type) {
+    query = query.eq('cuisine_type', cuisine_type);
+  }
+
+  if (rating_min) {
+    query = query.gte('rating', rating_min);
+  }
+
+  // Dish names and the pure-veg flag are kept on the vendor by the menu trigger
+  // (see database/vendor_menu.sql)
+  if (dish) {
+    query = query.ilike('menu_dishes', `%${escapeLikePattern(dish.toLowerCase())}%`);
+  }
+
+  if (veg_only) {
+    query = query.eq('is_pure_veg', true);
+  }
+
+  return query;
+};
+
+// Rating fields for responses, from the aggregates the reviews trigger keeps on the vendor
+// (see database/vendor_ratings.sql)
+const ratingSummary = (vendor) => ({
+  average_rating: Number(vendor.rating) || 0,
+  total_reviews: vendor.review_count || 0,
+  rating_distribution: vendor.rating_distribution || { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+});
+
+// Store an uploaded menu photo for the item; upload failures leave the item without a photo
+const attachMenuPhoto = async (vendorId, itemId, file) => {
+  if (!file) {
+    return null;
+  }
+
+  try {
+    return await storeImageMedia(file, `menu/${vendorId}`, { menu_item_id: itemId });
+  } catch (error) {
+    console.error('Menu photo upload error:', error);
+    return null;
+  }
+};
+
+// Fetch a menu item with its photo for a response
+const loadMenuItem = async (id) => {
+  const { data } = await supabase
+    .from('menu_items')
+    .select(MENU_ITEM_SELECT)
+    .eq('id', id)
+    .single();
+
+  return data ? withMenuItemPhoto(data) : null;
+};
+
+// Add rating summary and split media for a vendor in a list response
+const withListDetails = (vendor) => ({
+  ...vendor,
+  ...ratingSummary(vendor),
+  photos: vendor.media.filter(m => m.type === 'image'),
+  videos: vendor.media.filter(m => m.type === 'video'),
+  ...openingStatus(vendor.opening_hours)
+});
+
+// Add is_favorited for the signed-in user; anonymous responses are left unchanged
+const withFavoriteFlags = async (vendors, user) => {
+  if (!user || vendors.length === 0) {
+    return vendors;
+  }
+
+  // Service client: RLS on favorites needs a user session the anon client doesn't have
+  const { data, error } = await supabaseAdmin
+    .from('favorites')
+    .select('vendor_id')
+    .eq('user_id', user.id)
+    .in('vendor_id', vendors.map(vendor => vendor.id));
+
+  if (error) {
+    console.error('Favorite flags error:', error);
+  }
+
+  const favorited = new Set((data || []).map(favorite => String(favorite.vendor_id)));
+
+  return vendors.map(vendor => ({
+    ...vendor,
+    is_favorited: favorited.has(String(vendor.id))
+  }));
+};
+
+// Featured vendors with an active promotion that match the list filters (buildQuery),
+// highest package placement_priority first; vendors in the same tier are shuffled so
+// they share impressions. Returns at most one vendor per sponsored slot.
+const findSponsored = async (buildQuery, { open_now, now }) => {
+  const { data: candidates, error } = await buildQuery()
+    .eq('is_featured', true)
+    .gt('featured_until', now.toISOString())
+    .limit(sponsoredPlacement.candidateLimit);
+
+  if (error) {
+    console.error('Sponsored vendors error:', error);
+    return [];
+  }
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  // Service client: promotions and packages are read by the server, not on behalf of the caller
+  const [{ data: promotions, error: promotionsError }, { data: packages, error: packagesError }] = await Promise.all([
+    supabaseAdmin
+      .from('vendor_promotions')
+      .select('id, vendor_id, package_id')
+      .eq('status', 'active')
+      .gt('end_date', now.toISOString())
+      .in('vendor_id', candidates.map(vendor => vendor.id)),
+    supabaseAdmin
+      .from('promotion_packages')
+      .select('id, placement_priority')
+  ]);
+
+  if (promotionsError || packagesError) {
+    console.error('Sponsored promotions error:', promotionsError || packagesError);
+    return [];
+  }
+
+  const promotionByVendor = new Map((promotions || []).map(promotion => [String(promotion.vendor_id), promotion]));
+  const priorityByPackage = new Map((packages || []).map(pkg => [pkg.id, pkg.placement_priority]));
+
+  return candidates
+    .filter(vendor => promotionByVendor.has(String(vendor.id)))
+    .filter(vendor => !open_now || openingStatus(vendor.opening_hours, now).is_open_now)
+    .map(vendor => {
+      const promotion = promotionByVendor.get(String(vendor.id));
+      return {
+        vendor: { ...vendor, sponsored: true, promotion_id: promotion.id },
+        priority: priorityByPackage.get(promotion.package_id) || 0,
+        shuffle: Math.random()
+      };
+    })
+    .sort((a, b) => b.priority - a.priority || a.shuffle - b.shuffle)
+    .slice(0, sponsoredPlacement.slots.length)
+    .map(({ vendor }) => vendor);
+};
+
+// Put sponsored vendors into their slots on a result page (appended if the page is
+// shorter), dropping their organic copies so nobody appears twice
+const injectSponsored = (vendors, sponsored) => {
+  const sponsoredIds = new Set(sponsored.map(vendor => String(vendor.id)));
+  const page = vendors
+    .filter(vendor => !sponsoredIds.has(String(vendor.id)))
+    .map(vendor => ({ ...vendor, sponsored: false }));
+
+  sponsored.forEach((vendor, index) => {
+    page.splice(Math.min(sponsoredPlacement.slots[index], page.length), 0, vendor);
+  });
+
+  return page;
+};
 
 // @route   GET /api/vendors
 // @desc    Get all vendors with filters
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
     const { 
       city, 
-      cuisine_type, 
-      rating_min, 
       limit = 20, 
       offset = 0,
-      search 
+      search,
+      open_now
     } = req.query;
 
-    let query = supabase
-      .from('vendors')
-      .select(`
-        *,
-        reviews:reviews(rating),
-        media:media(url, type)
-      `)
-      .eq('verified', true)
-      .order('rating', { ascending: false });
+    const now = new Date();
+    const searchTerms = search ? parseSearchTerms(search) : [];
 
-    // Apply filters
-    if (city) {
-      query = query.ilike('city', `%${city}%`);
+    // The request's filters, shared by the organic results and the sponsored picks
+    const filteredQuery = (columns) => {
+      let filtered = listVendorsQuery(columns);
+
+      if (city) {
+        filtered = filtered.ilike('city', `%${escapeLikePattern(city)}%`);
+      }
+
+      filtered = applyListFilters(filtered, req.query);
+
+      // Every search term must appear somewhere in name, description, cuisine or specialties
+      for (const term of searchTerms) {
+        filtered = filtered.ilike('search_text', `%${term}%`);
+      }
+
+      return filtered;
+    };
+
+    // Searches and open_now are ranked/filtered in memory before paging, so read every
+    // match (ranking columns only) and load full rows for the requested page alone
+    const pageInMemory = searchTerms.length > 0 || open_now;
+
+    let vendors;
+
+    if (pageInMemory) {
+      const { data: matches, error: matchError } = await readAllRows(() => filteredQuery(RANKING_COLUMNS));
+
+      if (matchError) {
+        return res.status(400).json({
+          success: false,
+          message: matchError.message
+        });
+      }
+
+      let ranked = matches.sort((a, b) => (Number(b.rating) || 0) - (Number(a.rating) || 0));
+      const relevance = new Map();
+
+      if (searchTerms.length > 0) {
+        const words = searchWords(search);
+        ranked.forEach(vendor => relevance.set(vendor.id, scoreVendor(vendor, words)));
+        ranked = ranked.sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
+      }
+
+      if (open_now) {
+        ranked = ranked.filter(vendor => openingStatus(vendor.opening_hours, now).is_open_now);
+      }
+
+      const ids = ranked.slice(offset, offset + limit).map(vendor => vendor.id);
+      const { data: page, error: pageError } = await loadVendorPage(ids);
+
+      if (pageError) {
+        return res.status(400).json({
+          success: false,
+          message: pageError.message
+        });
+      }
+
+      vendors = searchTerms.length > 0
+        ? page.map(vendor => ({ ...vendor, relevance: relevance.get(vendor.id) }))
+        : page;
+    } else {
+      const { data, error } = await filteredQuery()
+        .order('rating', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      vendors = data;
     }
 
-    if (cuisine_type) {
-      query = query.eq('cuisine_type', cuisine_type);
+    // Sponsored vendors take the configured slots of the first page only
+    const sponsored = offset === 0 ? await findSponsored(filteredQuery, { open_now, now }) : [];
+    vendors = injectSponsored(vendors, sponsored);
+
+    await recordPromotionEvents(sponsored.map(vendor => vendor.promotion_id), 'impression');
+
+    const vendorsWithRating = await withFavoriteFlags(vendors.map(withListDetails), req.user);
+
+    res.json({
+      success: true,
+      count: vendorsWithRating.length,
+      vendors: vendorsWithRating
+    });
+
+  } catch (error) {
+    console.error('Get vendors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting vendors'
+    });
+  }
+});
+
+// @route   GET /api/vendors/nearby
+// @desc    Get vendors within radius_km of a point, nearest first
+// @access  Public
+router.get('/nearby', validate(schemas.nearby), async (req, res) => {
+  try {
+    const { lat, lng, radius_km, limit, offset } = req.query;
+    const box = boundingBox(lat, lng, radius_km);
+
+    // Read every vendor in the box (ids and coordinates only) so the nearest ones can't
+    // be cut off before sorting; only the requested page is then loaded in full
+    const { data: candidates, error: candidatesError } = await readAllRows(() => applyListFilters(
+      listVendorsQuery('id, latitude, longitude')
+        .gte('latitude', box.south)
+        .lte('latitude', box.north)
+        .gte('longitude', box.west)
+        .lte('longitude', box.east),
+      req.query
+    ));
+
+    if (candidatesError) {
+      return res.status(400).json({
+        success: false,
+        message: candidatesError.message
+      });
     }
 
-    if (rating_min) {
-      query = query.gte('rating', parseFloat(rating_min));
+    // The box is a square around the circle, so drop the corners by exact distance
+    const page = candidates
+      .map(vendor => ({
+        id: vendor.id,
+        distance_km: Math.round(distanceKm(lat, lng, vendor.latitude, vendor.longitude) * 100) / 100
+      }))
+      .filter(vendor => vendor.distance_km <= radius_km)
+      .sort((a, b) => a.distance_km - b.distance_km)
+      .slice(offset, offset + limit);
+
+    const { data: details, error } = await loadVendorPage(page.map(vendor => vendor.id));
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
     }
 
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
+    const distanceById = new Map(page.map(({ id, distance_km }) => [String(id), distance_km]));
+    const nearby = details.map(vendor => withListDetails({ ...vendor, distance_km: distanceById.get(String(vendor.id)) }));
+
+    const vendors = await withFavoriteFlags(nearby, req.user);
+
+    res.json({
+      success: true,
+      count: vendors.length,
+      vendors
+    });
+
+  } catch (error) {
+    console.error('Get nearby vendors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting nearby vendors'
+    });
+  }
+});
+
+// @route   GET /api/vendors/map
+// @desc    Get vendors inside a map viewport (north/south/east/west bounds)
+// @access  Public
+router.get('/map', validate(schemas.map), async (req, res) => {
+  try {
+    const { north, south, east, west, limit } = req.query;
+
+    if (south > north) {
+      return res.status(400).json({
+        success: false,
+        message: 'south must be less than or equal to north'
+      });
     }
 
-    // Pagination
-    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    let query = listVendorsQuery()
+      .gte('latitude', south)
+      .lte('latitude', north);
+
+    // A viewport crossing the antimeridian wraps around from east back to west
+    query = west <= east
+      ? query.gte('longitude', west).lte('longitude', east)
+      : query.or(`longitude.gte.${west},longitude.lte.${east}`);
+
+    query = applyListFilters(query, req.query)
+      .order('rating', { ascending: false })
+      .limit(limit);
 
     const { data, error } = await query;
 
@@ -55,28 +490,19 @@ router.get('/', async (req, res) => {
       });
     }
 
-    // Calculate average rating for each vendor
-    const vendorsWithRating = data.map(vendor => ({
-      ...vendor,
-      average_rating: vendor.reviews.length > 0 
-        ? vendor.reviews.reduce((sum, review) => sum + review.rating, 0) / vendor.reviews.length
-        : 0,
-      total_reviews: vendor.reviews.length,
-      photos: vendor.media.filter(m => m.type === 'image'),
-      videos: vendor.media.filter(m => m.type === 'video')
-    }));
+    const vendors = await withFavoriteFlags(data.map(withListDetails), req.user);
 
     res.json({
       success: true,
-      count: vendorsWithRating.length,
-      vendors: vendorsWithRating
+      count: vendors.length,
+      vendors
     });
 
   } catch (error) {
-    console.error('Get vendors error:', error);
+    console.error('Get map vendors error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error getting vendors'
+      message: 'Server error getting map vendors'
     });
   }
 });
@@ -84,7 +510,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/vendors/:id
 // @desc    Get single vendor by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.get), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -92,10 +518,12 @@ router.get('/:id', async (req, res) => {
       .from('vendors')
       .select(`
         *,
-        reviews:reviews(*, users(name)),
+        reviews:reviews(*, users:user_profiles(name:full_name), ${REVIEW_PHOTOS_SELECT}),
         media:media(url, type, ai_tags)
       `)
       .eq('id', id)
+      .is('deleted_at', null)
+      .eq('reviews.status', 'published')
       .single();
 
     if (error) {
@@ -105,18 +533,14 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Calculate ratings
-    const averageRating = data.reviews.length > 0 
-      ? data.reviews.reduce((sum, review) => sum + review.rating, 0) / data.reviews.length
-      : 0;
-
-    const vendorWithDetails = {
+    const [vendorWithDetails] = await withFavoriteFlags([{
       ...data,
-      average_rating: averageRating,
-      total_reviews: data.reviews.length,
+      reviews: data.reviews.map(withReviewPhotos),
+      ...ratingSummary(data),
       photos: data.media.filter(m => m.type === 'image'),
-      videos: data.media.filter(m => m.type === 'video')
-    };
+      videos: data.media.filter(m => m.type === 'video'),
+      ...openingStatus(data.opening_hours)
+    }], req.user);
 
     res.json({
       success: true,
@@ -133,9 +557,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/vendors
-// @desc    Create new vendor (Admin only)
-// @access  Private
-router.post('/', async (req, res) => {
+// @desc    Create new vendor (vendors own what they create; admins may set owner_id)
+// @access  Private (Vendor or Admin)
+router.post('/', requireRole('vendor', 'admin'), validate(schemas.create), async (req, res) => {
   try {
     const {
       name,
@@ -151,14 +575,17 @@ router.post('/', async (req, res) => {
       contact_email,
       opening_hours,
       price_range,
-      specialties
+      specialties,
+      owner_id
     } = req.body;
 
-    // Validate required fields
-    if (!name || !address || !city || !cuisine_type) {
+    const ownerId = req.user.role === 'admin' ? (owner_id || null) : req.user.id;
+
+    const hoursError = opening_hours ? validateOpeningHours(opening_hours) : null;
+    if (hoursError) {
       return res.status(400).json({
         success: false,
-        message: 'Name, address, city aur cuisine type required hain'
+        message: hoursError
       });
     }
 
@@ -166,18 +593,19 @@ router.post('/', async (req, res) => {
       .from('vendors')
       .insert([
         {
+          owner_id: ownerId,
           name,
           description,
           address,
           city: city.toLowerCase(),
           state,
           pincode,
-          latitude: latitude ? parseFloat(latitude) : null,
-          longitude: longitude ? parseFloat(longitude) : null,
+          latitude: latitude ?? null,
+          longitude: longitude ?? null,
           cuisine_type,
           contact_phone,
           contact_email,
-          opening_hours,
+          opening_hours: opening_hours ? normalizeOpeningHours(opening_hours) : null,
           price_range,
           specialties,
           rating: 0,
@@ -212,16 +640,49 @@ router.post('/', async (req, res) => {
 
 // @route   PUT /api/vendors/:id
 // @desc    Update vendor
-// @access  Private
-router.put('/:id', async (req, res) => {
+// @access  Private (Owner or Admin)
+router.put('/:id', requireAuth, validate(schemas.update), requireVendorOwner(), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const isAdmin = req.user.role === 'admin';
+    const fields = Object.keys(req.body);
+
+    const adminOnly = fields.filter(field => ADMIN_FIELDS.includes(field));
+    if (!isAdmin && adminOnly.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Only admins can update: ${adminOnly.join(', ')}`
+      });
+    }
+
+    const allowed = isAdmin ? [...OWNER_FIELDS, ...ADMIN_FIELDS] : OWNER_FIELDS;
+    const rejected = fields.filter(field => !allowed.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be updated: ${rejected.join(', ')}`
+      });
+    }
+
+    const updateData = {};
+    for (const field of fields) {
+      updateData[field] = req.body[field];
+    }
+
+    if (updateData.city) {
+      updateData.city = updateData.city.toLowerCase();
+    }
 
-    // Remove fields that shouldn't be updated directly
-    delete updateData.id;
-    delete updateData.created_at;
-    delete updateData.rating; // Rating is calculated from reviews
+    if (updateData.opening_hours) {
+      const hoursError = validateOpeningHours(updateData.opening_hours);
+      if (hoursError) {
+        return res.status(400).json({
+          success: false,
+          message: hoursError
+        });
+      }
+      updateData.opening_hours = normalizeOpeningHours(updateData.opening_hours);
+    }
 
     const { data, error } = await supabase
       .from('vendors')
@@ -256,15 +717,19 @@ router.put('/:id', async (req, res) => {
 });
 
 // @route   DELETE /api/vendors/:id
-// @desc    Delete vendor
-// @access  Private (Admin only)
-router.delete('/:id', async (req, res) => {
+// @desc    Soft-delete vendor (can be restored by an admin)
+// @access  Private (Owner or Admin)
+router.delete('/:id', requireAuth, validate(schemas.remove), requireVendorOwner(), async (req, res) => {
   try {
     const { id } = req.params;
 
     const { error } = await supabase
       .from('vendors')
-      .delete()
+      .update({
+        deleted_at: new Date().toISOString(),
+        deleted_by: req.user.id,
+        updated_at: new Date().toISOString()
+      })
       .eq('id', id);
 
     if (error) {
@@ -288,4 +753,367 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// @route   POST /api/vendors/:id/restore
+// @desc    Restore a soft-deleted vendor
+// @access  Private (Admin only)
+router.post('/:id/restore', requireRole('admin'), validate(schemas.restore), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('vendors')
+      .update({
+        deleted_at: null,
+        deleted_by: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted vendor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vendor restored successfully',
+      vendor: data
+    });
+
+  } catch (error) {
+    console.error('Restore vendor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error restoring vendor'
+    });
+  }
+});
+
+// @route   POST /api/vendors/:id/claim
+// @desc    Claim an unowned vendor listing; multipart with proof `documents` (images or PDFs)
+// @access  Private (Vendor)
+router.post('/:id/claim', requireRole('vendor'), claimDocumentUpload, validate(schemas.claim), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message, contact_phone } = req.body;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload at least one proof document (FSSAI licence, shop photo, GST certificate, ...)'
+      });
+    }
+
+    const { data: vendor, error: vendorError } = await supabase
+      .from('vendors')
+      .select('id, name, owner_id')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (vendorError || !vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    if (vendor.owner_id) {
+      return res.status(409).json({
+        success: false,
+        message: vendor.owner_id === req.user.id
+          ? 'You already own this vendor'
+          : 'This vendor has already been claimed'
+      });
+    }
+
+    // The anon client has no user session for RLS; claimant_id always comes from req.user
+    const { data: claim, error } = await supabaseAdmin
+      .from('vendor_claims')
+      .insert([
+        {
+          vendor_id: id,
+          claimant_id: req.user.id,
+          message: message || null,
+          contact_phone: contact_phone || null,
+          status: 'pending',
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      // Partial unique index: one pending claim per user per vendor
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a pending claim for this vendor'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const documents = [];
+    for (const file of files) {
+      try {
+        documents.push(await storeDocumentMedia(file, `claims/${claim.id}`, { claim_id: claim.id }));
+      } catch (uploadError) {
+        console.error('Claim document upload error:', uploadError);
+      }
+    }
+
+    // A claim without proof can't be reviewed, so don't leave it in the queue
+    if (documents.length === 0) {
+      await supabaseAdmin.from('vendor_claims').delete().eq('id', claim.id);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload proof documents'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Claim submitted! Admin team verify karke aapko notify karegi.',
+      claim: { ...claim, documents }
+    });
+
+  } catch (error) {
+    console.error('Claim vendor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting claim'
+    });
+  }
+});
+
+// @route   GET /api/vendors/:id/menu
+// @desc    Get a vendor's menu, ordered by category and position
+// @access  Public
+router.get('/:id/menu', validate(schemas.menu), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { available_only } = req.query;
+
+    const { data: vendor } = await supabase
+      .from('vendors')
+      .select('id')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    let query = supabase
+      .from('menu_items')
+      .select(MENU_ITEM_SELECT)
+      .eq('vendor_id', id)
+      .order('category', { ascending: true, nullsFirst: false })
+      .order('sort_order', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (available_only) {
+      query = query.eq('is_available', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      items: data.map(withMenuItemPhoto)
+    });
+
+  } catch (error) {
+    console.error('Get menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting menu'
+    });
+  }
+});
+
+// @route   POST /api/vendors/:id/menu
+// @desc    Add a menu item (multipart with an optional `photo` file, or JSON)
+// @access  Private (Owner or Admin)
+router.post('/:id/menu', requireAuth, menuPhotoUpload, validate(schemas.createMenuItem), requireVendorOwner(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, category, price, diet, spice_level, is_available, sort_order } = req.body;
+
+    // requireVendorOwner has checked access; the anon client has no user session for RLS
+    const { data, error } = await supabaseAdmin
+      .from('menu_items')
+      .insert([
+        {
+          vendor_id: id,
+          name,
+          description,
+          category,
+          price,
+          diet,
+          spice_level,
+          is_available,
+          sort_order,
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await attachMenuPhoto(id, data.id, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu item added',
+      item: await loadMenuItem(data.id) || data
+    });
+
+  } catch (error) {
+    console.error('Create menu item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding menu item'
+    });
+  }
+});
+
+// @route   PUT /api/vendors/:id/menu/:itemId
+// @desc    Update a menu item; a new `photo` file replaces the old one, remove_photo clears it
+// @access  Private (Owner or Admin)
+router.put('/:id/menu/:itemId', requireAuth, menuPhotoUpload, validate(schemas.updateMenuItem), requireVendorOwner(), async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const { remove_photo } = req.body;
+
+    const updateData = {};
+    for (const field of MENU_ITEM_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updateData).length === 0 && !req.file && !remove_photo) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('menu_items')
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', itemId)
+      .eq('vendor_id', id)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    if (req.file || remove_photo) {
+      const { error: photoError } = await supabaseAdmin
+        .from('media')
+        .delete()
+        .eq('menu_item_id', itemId);
+
+      if (photoError) {
+        console.error('Error removing menu photo:', photoError);
+      }
+    }
+
+    await attachMenuPhoto(id, itemId, req.file);
+
+    res.json({
+      success: true,
+      message: 'Menu item updated',
+      item: await loadMenuItem(itemId) || data
+    });
+
+  } catch (error) {
+    console.error('Update menu item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating menu item'
+    });
+  }
+});
+
+// @route   DELETE /api/vendors/:id/menu/:itemId
+// @desc    Remove a menu item (its photo goes with it)
+// @access  Private (Owner or Admin)
+router.delete('/:id/menu/:itemId', requireAuth, validate(schemas.removeMenuItem), requireVendorOwner(), async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const { data, error } = await supabaseAdmin
+      .from('menu_items')
+      .delete()
+      .eq('id', itemId)
+      .eq('vendor_id', id)
+      .select('id');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Menu item deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete menu item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting menu item'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/vlogger-posts');
 const multer = require('multer');
 const path = require('path');
 
@@ -21,16 +24,10 @@ const upload = multer({
 // @route   GET /api/vlogger-posts
 // @desc    Get vlogger's posts
 // @access  Private (Vlogger only)
-router.get('/', async (req, res) => {
+router.get('/', requireRole('vlogger'), validate(schemas.list), async (req, res) => {
   try {
-    const vloggerId = req.user?.id; // Assuming auth middleware sets user
-
-    if (!vloggerId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
+    const vloggerId = req.user.id;
+    const { limit, offset } = req.query;
 
     const { data: posts, error } = await supabase
       .from('vlogger_posts')
@@ -40,7 +37,8 @@ router.get('/', async (req, res) => {
         users(full_name)
       `)
       .eq('vlogger_id', vloggerId)
-      .order('created_at', { ascending: false });
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
 
     if (error) {
       return res.status(400).json({
@@ -66,9 +64,9 @@ router.get('/', async (req, res) => {
 // @route   POST /api/vlogger-posts
 // @desc    Submit new vlogger post
 // @access  Private (Vlogger only)
-router.post('/', upload.single('screenshot'), async (req, res) => {
+router.post('/', requireRole('vlogger'), upload.single('screenshot'), validate(schemas.create), async (req, res) => {
   try {
-    const vloggerId = req.user?.id;
+    const vloggerId = req.user.id;
     const {
       vendor_id,
       post_title,
@@ -77,21 +75,6 @@ router.post('/', upload.single('screenshot'), async (req, res) => {
       platform
     } = req.body;
 
-    if (!vloggerId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
-
-    // Validate required fields
-    if (!vendor_id || !post_title || !post_url || !platform) {
-      return res.status(400).json({
-        success: false,
-        message: 'Vendor, title, URL, and platform are required'
-      });
-    }
-
     let screenshotUrl = null;
 
     // Upload screenshot if provided
@@ -165,16 +148,8 @@ router.post('/', upload.single('screenshot'), async (req, res) => {
 // @route   GET /api/vlogger-posts/admin
 // @desc    Get all posts for admin review
 // @access  Private (Admin only)
-router.get('/admin', async (req, res) => {
+router.get('/admin', requireRole('admin'), validate(schemas.adminList), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
-
     const { status = 'pending' } = req.query;
 
     const { data: posts, error } = await supabase
@@ -212,19 +187,11 @@ router.get('/admin', async (req, res) => {
 // @route   PATCH /api/vlogger-posts/:id/review
 // @desc    Admin review post (approve/reject)
 // @access  Private (Admin only)
-router.patch('/:id/review', async (req, res) => {
+router.patch('/:id/review', requireRole('admin'), validate(schemas.review), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, admin_notes, payout_amount } = req.body;
-    const adminId = req.user?.id;
-
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
+    const adminId = req.user.id;
 
     // Validate status
     if (!['approved', 'rejected'].includes(status)) {
@@ -243,7 +210,7 @@ router.patch('/:id/review', async (req, res) => {
 
     // Add payout amount if approved
     if (status === 'approved' && payout_amount) {
-      updateData.payout_amount = parseFloat(payout_amount);
+      updateData.payout_amount = payout_amount;
     }
 
     const { data: post, error } = await supabase
@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/vloggers');
 
 // @route   GET /api/vloggers
 // @desc    Get all vloggers
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
     const { platform, limit = 20, offset = 0 } = req.query;
 
@@ -22,7 +24,7 @@ router.get('/', async (req, res) => {
       query = query.eq('platform', platform);
     }
 
-    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    query = query.range(offset, offset + limit - 1);
 
     const { data, error } = await query;
 
@@ -51,7 +53,7 @@ router.get('/', async (req, res) => {
 // @route   POST /api/vloggers
 // @desc    Create new vlogger
 // @access  Private
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.create), async (req, res) => {
   try {
     const {
       name,
@@ -64,13 +66,6 @@ router.post('/', async (req, res) => {
       location
     } = req.body;
 
-    if (!name || !platform || !username) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, platform aur username required hain'
-      });
-    }
-
     const { data, error } = await supabase
       .from('vloggers')
       .insert([
@@ -0,0 +1,148 @@
+const { review } = require('./vlogger-posts');
+const { idParam, noInput } = require('./common');
+const { pagination } = require('../middleware/validate');
+
+const userParam = { id: { type: 'string', required: true, format: 'uuid' } };
+const claimParam = { id: { type: 'string', required: true, format: 'uuid' } };
+const reason = { type: 'string', max: 500 };
+
+const packageParam = { id: { type: 'string', required: true, max: 50 } };
+
+const packageFields = {
+  name: { type: 'string', max: 100 },
+  description: { type: 'string', max: 1000 },
+  price: { type: 'number', min: 0, max: 1000000 }, // INR
+  duration_days: { type: 'integer', min: 1, max: 730 },
+  features: { type: 'array', max: 20, items: { type: 'string', max: 200 } },
+  color: { type: 'string', max: 20 },
+  popular: { type: 'boolean' },
+  is_active: { type: 'boolean' },
+  display_order: { type: 'integer', min: 0, max: 1000 },
+  placement_priority: { type: 'integer', min: 0, max: 100 } // higher wins sponsored slots
+};
+
+module.exports = {
+  stats: noInput,
+
+  pendingPosts: {
+    query: {
+      ...pagination()
+    }
+  },
+
+  postReview: review,
+
+  users: {
+    query: {
+      type: { type: 'string', enum: ['vendors', 'vloggers'] }
+    }
+  },
+
+  verification: {
+    params: idParam,
+    body: {
+      verified: { type: 'boolean', required: true },
+      reason
+    }
+  },
+
+  suspend: {
+    params: userParam,
+    body: {
+      reason: { ...reason, required: true }
+    }
+  },
+
+  reactivate: {
+    params: userParam,
+    body: { reason }
+  },
+
+  role: {
+    params: userParam,
+    body: {
+      role: { type: 'string', required: true, enum: ['user', 'vendor', 'vlogger', 'admin'] },
+      reason: { ...reason, required: true }
+    }
+  },
+
+  claims: {
+    query: {
+      status: { type: 'string', enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+      ...pagination(20)
+    }
+  },
+
+  reviewClaim: {
+    params: claimParam,
+    body: {
+      action: { type: 'string', required: true, enum: ['approve', 'reject'] },
+      reason
+    }
+  },
+
+  flaggedReviews: {
+    query: {
+      ...pagination(20)
+    }
+  },
+
+  moderateReview: {
+    params: idParam,
+    body: {
+      action: { type: 'string', required: true, enum: ['approve', 'hide'] },
+      reason
+    }
+  },
+
+  deleteReview: {
+    params: idParam,
+    body: {
+      reason: { ...reason, required: true }
+    }
+  },
+
+  createPackage: {
+    body: {
+      id: { type: 'string', required: true, max: 50, pattern: /^[a-z0-9_-]+$/ },
+      ...packageFields,
+      name: { ...packageFields.name, required: true },
+      price: { ...packageFields.price, required: true },
+      duration_days: { ...packageFields.duration_days, required: true }
+    }
+  },
+
+  updatePackage: {
+    params: packageParam,
+    body: packageFields
+  },
+
+  removePackage: {
+    params: packageParam
+  },
+
+  promotions: {
+    query: {
+      ...pagination()
+    }
+  },
+
+  packages: noInput,
+
+  runJob: {
+    params: {
+      name: { type: 'string', required: true, max: 50 }
+    }
+  },
+
+  actions: {
+    query: {
+      target_type: { type: 'string', max: 50 },
+      target_id: { type: 'string', max: 64 },
+      admin_id: { type: 'string', format: 'uuid' },
+      ...pagination(50)
+    }
+  },
+
+  activity: noInput
+};
@@ -0,0 +1,82 @@
+const { SIGNUP_ROLES, MAX_LENGTHS } = require('../utils/profile-fields');
+const { phone, noInput } = require('./common');
+
+const email = { type: 'string', required: true, format: 'email', max: 255 };
+const password = { type: 'string', required: true, min: 6, max: 72 };
+
+// Every writable profile field; which ones a user may send depends on their role and is
+// checked by the route (utils/profile-fields allowedFields)
+const profileFields = {
+  ...Object.fromEntries(Object.entries(MAX_LENGTHS).map(([field, max]) => [field, { type: 'string', max }])),
+  phone: { ...phone, max: 20 },
+  business_phone: { ...phone, max: 20 },
+  business_hours: { type: 'object' },
+  specialties: { type: 'array', max: 50, items: { type: 'string', max: 100 } },
+  subscriber_count: { type: 'integer', min: 0 }
+};
+
+// Role-specific profile fields are checked by utils/profile-fields
+module.exports = {
+  signup: {
+    body: {
+      email,
+      password,
+      name: { type: 'string', required: true, max: 255 },
+      role: { type: 'string', enum: SIGNUP_ROLES, default: 'user' }
+    }
+  },
+
+  login: {
+    body: {
+      email,
+      password: { type: 'string', required: true }
+    }
+  },
+
+  refresh: {
+    body: {
+      refresh_token: { type: 'string', required: true }
+    }
+  },
+
+  forgotPassword: {
+    body: { email }
+  },
+
+  resetPassword: {
+    body: {
+      password,
+      token_hash: { type: 'string' },
+      access_token: { type: 'string' },
+      // Required with access_token: a session token alone doesn't prove a password reset
+      current_password: { type: 'string', max: 72 }
+    }
+  },
+
+  resendVerification: {
+    body: { email }
+  },
+
+  logout: {
+    body: {
+      refresh_token: { type: 'string' }
+    }
+  },
+
+  logoutAll: {
+    body: {
+      keep_current: { type: 'boolean', default: false }
+    }
+  },
+
+  sessions: noInput,
+
+  profile: noInput,
+
+  updateProfile: {
+    body: profileFields
+  },
+
+  // The `avatar` file itself is checked by multer (imageUpload)
+  avatar: noInput
+};
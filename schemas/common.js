@@ -0,0 +1,18 @@
+// Rules shared across route schemas
+
+const idParam = { id: { type: 'string', required: true, format: 'id' } };
+
+const idField = (required = false) => ({ type: 'string', required, format: 'id' });
+
+const phone = { type: 'string', pattern: /^\+?[0-9\s-]{7,20}$/ };
+
+// For routes that read no params, query or body; they still mount validate() so every
+// route declares its inputs in its schema file
+const noInput = {};
+
+module.exports = {
+  idParam,
+  idField,
+  phone,
+  noInput
+};
@@ -0,0 +1,31 @@
+const { idParam, phone } = require('./common');
+const { pagination } = require('../middleware/validate');
+
+const CONTACT_STATUSES = ['pending', 'in_progress', 'resolved', 'closed'];
+
+module.exports = {
+  create: {
+    body: {
+      name: { type: 'string', required: true, max: 100 },
+      email: { type: 'string', required: true, format: 'email', max: 255 },
+      phone,
+      subject: { type: 'string', required: true, max: 200 },
+      message: { type: 'string', required: true, max: 5000 }
+    }
+  },
+
+  list: {
+    query: {
+      status: { type: 'string', enum: CONTACT_STATUSES },
+      ...pagination(50)
+    }
+  },
+
+  update: {
+    params: idParam,
+    body: {
+      status: { type: 'string', required: true, enum: CONTACT_STATUSES },
+      admin_notes: { type: 'string', max: 2000 }
+    }
+  }
+};
@@ -0,0 +1,21 @@
+const { idField } = require('./common');
+const { pagination } = require('../middleware/validate');
+
+module.exports = {
+  upload: {
+    body: {
+      vendor_id: idField(),
+      vlogger_id: idField(),
+      type: { type: 'string', enum: ['image', 'video'] }
+    }
+  },
+
+  list: {
+    query: {
+      vendor_id: idField(),
+      vlogger_id: idField(),
+      type: { type: 'string', enum: ['image', 'video'] },
+      ...pagination()
+    }
+  }
+};
@@ -0,0 +1,19 @@
+const { pagination } = require('../middleware/validate');
+const { noInput } = require('./common');
+
+module.exports = {
+  list: {
+    query: {
+      unread_only: { type: 'boolean', default: false },
+      ...pagination()
+    }
+  },
+
+  readAll: noInput,
+
+  markRead: {
+    params: {
+      id: { type: 'string', required: true, format: 'uuid' }
+    }
+  }
+};
@@ -0,0 +1,66 @@
+const { idParam, idField } = require('./common');
+const { pagination } = require('../middleware/validate');
+
+const REVIEW_SORTS = ['newest', 'highest', 'lowest', 'most_helpful'];
+const REPORT_REASONS = ['spam', 'offensive', 'fake', 'irrelevant', 'other'];
+
+module.exports = {
+  list: {
+    query: {
+      vendor_id: idField(),
+      user_id: idField(),
+      rating_min: { type: 'integer', min: 1, max: 5 },
+      rating: { type: 'integer', min: 1, max: 5 },
+      with_photos: { type: 'boolean' },
+      sort: { type: 'string', enum: REVIEW_SORTS, default: 'newest' },
+      ...pagination()
+    }
+  },
+
+  create: {
+    body: {
+      vendor_id: idField(true),
+      rating: { type: 'integer', required: true, min: 1, max: 5 },
+      comment: { type: 'string', max: 2000 }
+    }
+  },
+
+  update: {
+    params: idParam,
+    body: {
+      rating: { type: 'integer', min: 1, max: 5 },
+      comment: { type: 'string', max: 2000 },
+      remove_photo_ids: { type: 'array', max: 20, items: idField() }
+    }
+  },
+
+  remove: {
+    params: idParam
+  },
+
+  report: {
+    params: idParam,
+    body: {
+      reason: { type: 'string', required: true, enum: REPORT_REASONS },
+      details: { type: 'string', max: 1000 }
+    }
+  },
+
+  vote: {
+    params: idParam,
+    body: {
+      helpful: { type: 'boolean', required: true }
+    }
+  },
+
+  removeVote: {
+    params: idParam
+  },
+
+  reply: {
+    params: idParam,
+    body: {
+      reply: { type: 'string', required: true, max: 1000 }
+    }
+  }
+};
@@ -0,0 +1,21 @@
+const { pagination } = require('../middleware/validate');
+const { noInput } = require('./common');
+
+module.exports = {
+  start: {
+    body: {
+      source: { type: 'string', required: true, enum: ['instagram', 'youtube', 'google_places', 'zomato', 'swiggy'] },
+      data_type: { type: 'string', required: true, max: 50 },
+      location: { type: 'string', max: 100 }
+    }
+  },
+
+  stats: noInput,
+
+  jobs: {
+    query: {
+      status: { type: 'string', max: 50 },
+      ...pagination()
+    }
+  }
+};
@@ -0,0 +1,74 @@
+const { idField, noInput } = require('./common');
+const { pagination } = require('../middleware/validate');
+
+const vendorParam = { vendorId: idField(true) };
+const listParam = { listId: { type: 'string', required: true, format: 'uuid' } };
+
+const listFields = {
+  name: { type: 'string', max: 100 },
+  description: { type: 'string', max: 1000 },
+  is_public: { type: 'boolean' }
+};
+
+module.exports = {
+  favorites: {
+    query: {
+      ...pagination()
+    }
+  },
+
+  favorite: {
+    params: vendorParam
+  },
+
+  lists: {
+    query: {
+      ...pagination()
+    }
+  },
+
+  createList: {
+    body: {
+      ...listFields,
+      name: { ...listFields.name, required: true }
+    }
+  },
+
+  getList: {
+    params: listParam
+  },
+
+  updateList: {
+    params: listParam,
+    body: listFields
+  },
+
+  removeList: {
+    params: listParam
+  },
+
+  addListVendor: {
+    params: listParam,
+    body: {
+      vendor_id: idField(true),
+      note: { type: 'string', max: 500 }
+    }
+  },
+
+  removeListVendor: {
+    params: { ...listParam, ...vendorParam }
+  },
+
+  reorderList: {
+    params: listParam,
+    body: {
+      vendor_ids: { type: 'array', required: true, max: 200, items: idField(true) }
+    }
+  },
+
+  publicList: {
+    params: {
+      slug: { type: 'string', required: true, max: 140, pattern: /^[a-z0-9-]+$/ }
+    }
+  }
+};
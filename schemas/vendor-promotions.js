@@ -0,0 +1,61 @@
+const { idParam, idField, noInput } = require('./common');
+const { pagination } = require('../middleware/validate');
+
+module.exports = {
+  list: {
+    query: {
+      ...pagination()
+    }
+  },
+
+  packages: noInput,
+
+  // The payload is provider-specific; it is authenticated by its signature instead
+  webhook: noInput,
+
+  purchase: {
+    body: {
+      package_id: { type: 'string', required: true, max: 50 },
+      vendor_id: idField()
+    }
+  },
+
+  verify: {
+    body: {
+      promotion_id: idField(true),
+      order_id: { type: 'string', required: true, max: 100 },
+      payment_id: { type: 'string', required: true, max: 100 },
+      signature: { type: 'string', required: true, max: 256 }
+    }
+  },
+
+  upgrade: {
+    params: idParam,
+    body: {
+      package_id: { type: 'string', required: true, max: 50 }
+    }
+  },
+
+  renew: {
+    params: idParam
+  },
+
+  autoRenew: {
+    params: idParam,
+    body: {
+      auto_renew: { type: 'boolean', required: true }
+    }
+  },
+
+  cancel: {
+    params: idParam
+  },
+
+  click: {
+    params: idParam
+  },
+
+  stats: {
+    params: idParam
+  }
+};
@@ -0,0 +1,154 @@
+const { idParam, idField, phone } = require('./common');
+const { pagination } = require('../middleware/validate');
+
+const vendorFields = {
+  name: { type: 'string', max: 255 },
+  description: { type: 'string', max: 2000 },
+  address: { type: 'string', max: 500 },
+  city: { type: 'string', max: 100 },
+  state: { type: 'string', max: 100 },
+  pincode: { type: 'string', pattern: /^\d{6}$/ },
+  latitude: { type: 'number', min: -90, max: 90 },
+  longitude: { type: 'number', min: -180, max: 180 },
+  cuisine_type: { type: 'string', max: 100 },
+  contact_phone: phone,
+  contact_email: { type: 'string', format: 'email', max: 255 },
+  opening_hours: { type: 'object' },
+  price_range: { type: 'string', max: 20 },
+  specialties: { type: 'array', max: 20, items: { type: 'string', max: 100 } }
+};
+
+const DIETS = ['veg', 'non_veg', 'jain'];
+
+const menuItemFields = {
+  name: { type: 'string', max: 255 },
+  description: { type: 'string', max: 1000 },
+  category: { type: 'string', max: 100 },
+  price: { type: 'number', min: 0, max: 100000 }, // INR
+  diet: { type: 'string', enum: DIETS },
+  spice_level: { type: 'integer', min: 0, max: 3 },
+  is_available: { type: 'boolean' },
+  sort_order: { type: 'integer', min: 0, max: 10000 }
+};
+
+// Menu filters for every vendor list endpoint
+const menuFilters = {
+  dish: { type: 'string', max: 100 },
+  veg_only: { type: 'boolean' }
+};
+
+const menuItemParams = {
+  ...idParam,
+  itemId: { type: 'string', required: true, format: 'uuid' }
+};
+
+const required = (fields, names) => {
+  const result = { ...fields };
+  for (const name of names) {
+    result[name] = { ...fields[name], required: true };
+  }
+  return result;
+};
+
+module.exports = {
+  list: {
+    query: {
+      city: { type: 'string', max: 100 },
+      cuisine_type: { type: 'string', max: 100 },
+      rating_min: { type: 'number', min: 0, max: 5 },
+      ...menuFilters,
+      search: { type: 'string', max: 100 },
+      open_now: { type: 'boolean' },
+      ...pagination()
+    }
+  },
+
+  nearby: {
+    query: {
+      lat: { type: 'number', required: true, min: -90, max: 90 },
+      lng: { type: 'number', required: true, min: -180, max: 180 },
+      radius_km: { type: 'number', min: 0.1, max: 50, default: 5 },
+      cuisine_type: { type: 'string', max: 100 },
+      rating_min: { type: 'number', min: 0, max: 5 },
+      ...menuFilters,
+      ...pagination()
+    }
+  },
+
+  map: {
+    query: {
+      north: { type: 'number', required: true, min: -90, max: 90 },
+      south: { type: 'number', required: true, min: -90, max: 90 },
+      east: { type: 'number', required: true, min: -180, max: 180 },
+      west: { type: 'number', required: true, min: -180, max: 180 },
+      cuisine_type: { type: 'string', max: 100 },
+      rating_min: { type: 'number', min: 0, max: 5 },
+      ...menuFilters,
+      limit: { type: 'integer', min: 1, max: 200, clamp: true, default: 100 }
+    }
+  },
+
+  get: {
+    params: idParam
+  },
+
+  create: {
+    body: {
+      ...required(vendorFields, ['name', 'address', 'city', 'cuisine_type']),
+      owner_id: idField()
+    }
+  },
+
+  // Which fields a caller may send is enforced by the route's whitelist
+  update: {
+    params: idParam,
+    body: {
+      ...vendorFields,
+      verified: { type: 'boolean' },
+      is_featured: { type: 'boolean' },
+      featured_until: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}/ },
+      promotion_tier: { type: 'string', max: 50 },
+      owner_id: idField()
+    }
+  },
+
+  remove: {
+    params: idParam
+  },
+
+  restore: {
+    params: idParam
+  },
+
+  claim: {
+    params: idParam,
+    body: {
+      message: { type: 'string', max: 2000 },
+      contact_phone: phone
+    }
+  },
+
+  menu: {
+    params: idParam,
+    query: {
+      available_only: { type: 'boolean', default: false }
+    }
+  },
+
+  createMenuItem: {
+    params: idParam,
+    body: required(menuItemFields, ['name', 'price'])
+  },
+
+  updateMenuItem: {
+    params: menuItemParams,
+    body: {
+      ...menuItemFields,
+      remove_photo: { type: 'boolean' }
+    }
+  },
+
+  removeMenuItem: {
+    params: menuItemParams
+  }
+};
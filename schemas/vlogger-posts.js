@@ -0,0 +1,43 @@
+const { idParam, idField } = require('./common');
+const { pagination } = require('../middleware/validate');
+
+const PLATFORMS = ['youtube', 'instagram', 'facebook', 'twitter', 'other'];
+const POST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Shared with the admin router, which reviews the same posts
+const review = {
+  params: idParam,
+  body: {
+    status: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+    admin_notes: { type: 'string', max: 2000 },
+    payout_amount: { type: 'number', min: 0 }
+  }
+};
+
+module.exports = {
+  PLATFORMS,
+
+  create: {
+    body: {
+      vendor_id: idField(true),
+      post_title: { type: 'string', required: true, max: 255 },
+      post_description: { type: 'string', max: 2000 },
+      post_url: { type: 'string', required: true, format: 'url', max: 500 },
+      platform: { type: 'string', required: true, enum: PLATFORMS }
+    }
+  },
+
+  list: {
+    query: {
+      ...pagination()
+    }
+  },
+
+  adminList: {
+    query: {
+      status: { type: 'string', enum: POST_STATUSES, default: 'pending' }
+    }
+  },
+
+  review
+};
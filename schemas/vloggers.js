@@ -0,0 +1,24 @@
+const { PLATFORMS } = require('./vlogger-posts');
+const { pagination } = require('../middleware/validate');
+
+module.exports = {
+  list: {
+    query: {
+      platform: { type: 'string', enum: PLATFORMS },
+      ...pagination()
+    }
+  },
+
+  create: {
+    body: {
+      name: { type: 'string', required: true, max: 255 },
+      platform: { type: 'string', required: true, enum: PLATFORMS },
+      username: { type: 'string', required: true, max: 255 },
+      followers: { type: 'integer', min: 0 },
+      content_type: { type: 'string', max: 100 },
+      bio: { type: 'string', max: 2000 },
+      social_links: { type: 'object' },
+      location: { type: 'string', max: 255 }
+    }
+  }
+};
@@ -13,13 +13,38 @@ if (!supabaseUrl || !supabaseServiceKey) {
 
 const supabase = createClient(supabaseUrl, supabaseServiceKey)
 
+// Schema files, applied in this order
+const SQL_FILES = [
+  'user_profiles.sql',
+  'account_links.sql',
+  'auth_sessions.sql',
+  'vendor_ownership.sql',
+  'vendor_search.sql',
+  'admin_actions.sql',
+  'vendor_location.sql',
+  'vendor_ratings.sql',
+  'review_lifecycle.sql',
+  'review_photos.sql',
+  'review_moderation.sql',
+  'review_votes.sql',
+  'vendor_menu.sql',
+  'vendor_claims.sql',
+  'favorites.sql',
+  'promotion_payments.sql',
+  'promotion_packages.sql',
+  'promotion_jobs.sql',
+  'sponsored_placement.sql',
+  'promotion_renewals.sql'
+]
+
 async function setupDatabase() {
   try {
     console.log('🔄 Setting up Bhookad database schema...')
     
-    // Read the SQL file
-    const sqlFilePath = path.join(__dirname, '../database/user_profiles.sql')
-    const sqlContent = fs.readFileSync(sqlFilePath, 'utf8')
+    // Read the SQL files in order
+    const sqlContent = SQL_FILES
+      .map(file => fs.readFileSync(path.join(__dirname, '../database', file), 'utf8'))
+      .join('\n')
     
     // Split SQL commands (basic splitting by semicolon)
     const sqlCommands = sqlContent
@@ -70,7 +95,7 @@ async function setupDatabase() {
     console.log('   1. Go to https://supabase.com/dashboard')
     console.log('   2. Select your project')
     console.log('   3. Go to SQL Editor')
-    console.log('   4. Run the contents of database/user_profiles.sql')
+    SQL_FILES.forEach((file, i) => console.log(`   ${i + 4}. Run the contents of database/${file}`))
   }
 }
 
@@ -6,15 +6,28 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 const { supabase } = require('./config/supabase');
+const { authenticate } = require('./middleware/auth');
+const { startScheduler } = require('./utils/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind Vercel/Netlify proxies: use X-Forwarded-For for req.ip (rate limiting)
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body too: payment webhook signatures are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Attach req.user from the Bearer token for every route
+app.use(authenticate);
+
 // Test route
 app.get('/', (req, res) => {
   res.json({ 
@@ -61,6 +74,14 @@ try {
   console.error('❌ Vendor routes error:', error.message);
 }
 
+try {
+  console.log('Loading review routes...');
+  app.use('/api/reviews', require('./routes/reviews'));
+  console.log('✅ Review routes loaded');
+} catch (error) {
+  console.error('❌ Review routes error:', error.message);
+}
+
 try {
   console.log('Loading contact routes...');
   app.use('/api/contact', require('./routes/contact'));
@@ -93,6 +114,22 @@ try {
   console.error('❌ Admin routes error:', error.message);
 }
 
+try {
+  console.log('Loading user routes...');
+  app.use('/api/users', require('./routes/users'));
+  console.log('✅ User routes loaded');
+} catch (error) {
+  console.error('❌ User routes error:', error.message);
+}
+
+try {
+  console.log('Loading notification routes...');
+  app.use('/api/notifications', require('./routes/notifications'));
+  console.log('✅ Notification routes loaded');
+} catch (error) {
+  console.error('❌ Notification routes error:', error.message);
+}
+
 // Skip other routes for now to identify the problematic one
 console.log('Basic routes loaded successfully!');
 
@@ -118,6 +155,9 @@ app.listen(PORT, () => {
   console.log(`🚀 Bhookad Backend server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API URL: http://localhost:${PORT}`);
+
+  // Periodic jobs (promotion expiry, reminders) for this long-running process
+  startScheduler();
 });
 
 // Export for testing
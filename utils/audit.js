@@ -0,0 +1,27 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Record an admin action (who did what to which record, and why) in admin_actions.
+// Failures are logged, never thrown, so auditing can't break the action itself.
+const logAdminAction = async ({ adminId, action, targetType, targetId, reason = null, details = null }) => {
+  const { error } = await supabaseAdmin
+    .from('admin_actions')
+    .insert([
+      {
+        admin_id: adminId,
+        action,
+        target_type: targetType,
+        target_id: String(targetId),
+        reason,
+        details,
+        created_at: new Date().toISOString()
+      }
+    ]);
+
+  if (error) {
+    console.error('Admin action log error:', error);
+  }
+};
+
+module.exports = {
+  logAdminAction
+};
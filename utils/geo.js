@@ -0,0 +1,35 @@
+// Distance helpers for vendor "near me" queries
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in km (haversine formula)
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Lat/lng box that contains every point within radiusKm of the centre,
+// used to pre-filter rows in the database before exact distances are computed
+const boundingBox = (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const lngDelta = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(lat)), 0.01));
+
+  return {
+    south: Math.max(lat - latDelta, -90),
+    north: Math.min(lat + latDelta, 90),
+    west: Math.max(lng - lngDelta, -180),
+    east: Math.min(lng + lngDelta, 180)
+  };
+};
+
+module.exports = {
+  distanceKm,
+  boundingBox
+};
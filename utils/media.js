@@ -0,0 +1,242 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+const STORAGE_BUCKET = 'media';
+
+// Private bucket for proof documents (licences, ID photos); only readable through
+// short-lived signed URLs (see database/vendor_claims.sql)
+const DOCUMENTS_BUCKET = 'documents';
+const DOCUMENT_URL_TTL_SECONDS = 10 * 60;
+
+// Columns returned for stored documents; they have a storage path, never a public url
+const DOCUMENT_COLUMNS = 'id, file_name, mime_type';
+
+// Resize presets for uploaded images
+const IMAGE_PRESETS = {
+  full: { width: 1200, height: 800, fit: 'inside', quality: 85 },
+  avatar: { width: 400, height: 400, fit: 'cover', quality: 85 },
+  thumbnail: { width: 300, height: 300, fit: 'cover', quality: 75 }
+};
+
+// Columns returned for photos embedded in other records (e.g. reviews)
+const PHOTO_COLUMNS = 'id, url, thumbnail_url';
+
+// Embed for a review's uploaded photos; aliased because reviews has a legacy photos column
+const REVIEW_PHOTOS_SELECT = `photo_media:media(${PHOTO_COLUMNS})`;
+
+// Multer instance for image-only uploads kept in memory for sharp
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+});
+
+// Multer instance for proof documents (images or PDFs), stored as uploaded
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp', 'application/pdf'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only images and PDF documents are allowed'), false);
+    }
+  }
+});
+
+// Wrap a multer middleware so bad uploads (size, type) become 400s instead of 500s
+const handleUploadErrors = (uploadMiddleware) => (req, res, next) => {
+  uploadMiddleware(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
+// Random file name (without extension) for storage uploads
+const generateFileName = () => `${Date.now()}-${Math.random().toString(36).substring(7)}`;
+
+// Resize/compress an image buffer to JPEG using one of IMAGE_PRESETS
+const processImage = (buffer, preset = 'full') => {
+  const { width, height, fit, quality } = IMAGE_PRESETS[preset];
+
+  return sharp(buffer)
+    .resize(width, height, { fit, withoutEnlargement: fit === 'inside' })
+    .jpeg({ quality })
+    .toBuffer();
+};
+
+// Upload a buffer to Supabase Storage and return its public URL
+const uploadToStorage = async (fileName, buffer, contentType) => {
+  const { error } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(fileName, buffer, {
+      contentType,
+      upsert: false
+    });
+
+  if (error) {
+    return { publicUrl: null, error };
+  }
+
+  const { data: { publicUrl } } = supabase.storage
+    .from(STORAGE_BUCKET)
+    .getPublicUrl(fileName);
+
+  return { publicUrl, error: null };
+};
+
+// Process an uploaded image into full-size and thumbnail JPEGs, upload both
+// and save a media row with the given links (e.g. { review_id }). Returns the row.
+const storeImageMedia = async (file, folder, links = {}) => {
+  const baseName = `${folder}/${generateFileName()}`;
+  const [fullBuffer, thumbBuffer] = await Promise.all([
+    processImage(file.buffer, 'full'),
+    processImage(file.buffer, 'thumbnail')
+  ]);
+
+  const full = await uploadToStorage(`${baseName}.jpg`, fullBuffer, 'image/jpeg');
+  if (full.error) {
+    throw full.error;
+  }
+
+  const thumb = await uploadToStorage(`${baseName}-thumb.jpg`, thumbBuffer, 'image/jpeg');
+  if (thumb.error) {
+    throw thumb.error;
+  }
+
+  const { data, error } = await supabase
+    .from('media')
+    .insert([
+      {
+        type: 'image',
+        url: full.publicUrl,
+        thumbnail_url: thumb.publicUrl,
+        file_name: `${baseName}.jpg`,
+        file_size: fullBuffer.length,
+        mime_type: 'image/jpeg',
+        ...links,
+        created_at: new Date().toISOString()
+      }
+    ])
+    .select(PHOTO_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Upload a document unchanged to the private documents bucket and save a media row
+// (type 'document') with its storage path and the given links (e.g. { claim_id }).
+// Returns the row; use signDocuments to hand out links.
+const storeDocumentMedia = async (file, folder, links = {}) => {
+  const extension = file.mimetype === 'application/pdf' ? 'pdf' : file.mimetype.split('/')[1];
+  const fileName = `${folder}/${generateFileName()}.${extension}`;
+
+  const { error: uploadError } = await supabaseAdmin.storage
+    .from(DOCUMENTS_BUCKET)
+    .upload(fileName, file.buffer, {
+      contentType: file.mimetype,
+      upsert: false
+    });
+
+  if (uploadError) {
+    throw uploadError;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('media')
+    .insert([
+      {
+        type: 'document',
+        url: null,
+        file_name: fileName,
+        file_size: file.size,
+        mime_type: file.mimetype,
+        ...links,
+        created_at: new Date().toISOString()
+      }
+    ])
+    .select(DOCUMENT_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Add a short-lived signed `url` (and its `url_expires_at`) to each stored document
+const signDocuments = async (documents) => {
+  if (documents.length === 0) {
+    return documents;
+  }
+
+  const { data: signed, error } = await supabaseAdmin.storage
+    .from(DOCUMENTS_BUCKET)
+    .createSignedUrls(documents.map((doc) => doc.file_name), DOCUMENT_URL_TTL_SECONDS);
+
+  if (error) {
+    throw error;
+  }
+
+  const expiresAt = new Date(Date.now() + DOCUMENT_URL_TTL_SECONDS * 1000).toISOString();
+
+  return documents.map((doc, index) => ({
+    ...doc,
+    url: signed[index]?.signedUrl || null,
+    url_expires_at: signed[index]?.signedUrl ? expiresAt : null
+  }));
+};
+
+// Photos stored in the legacy reviews.photos column (URLs, or objects with a url)
+const legacyReviewPhotos = (photos) => (Array.isArray(photos) ? photos : [])
+  .filter(Boolean)
+  .map((photo) => (typeof photo === 'string'
+    ? { id: null, url: photo, thumbnail_url: null }
+    : photo));
+
+// Expose a review's photos as `photos` in responses: legacy ones first, then uploads
+const withReviewPhotos = ({ photo_media, photos, ...review }) => ({
+  ...review,
+  photos: [...legacyReviewPhotos(photos), ...(photo_media || [])]
+});
+
+// Expose a menu item's photo (at most one) as `photo`
+const withMenuItemPhoto = ({ photo_media, ...item }) => ({
+  ...item,
+  photo: photo_media?.[0] || null
+});
+
+module.exports = {
+  IMAGE_PRESETS,
+  PHOTO_COLUMNS,
+  DOCUMENT_COLUMNS,
+  REVIEW_PHOTOS_SELECT,
+  imageUpload,
+  documentUpload,
+  handleUploadErrors,
+  generateFileName,
+  processImage,
+  uploadToStorage,
+  storeImageMedia,
+  storeDocumentMedia,
+  signDocuments,
+  withReviewPhotos,
+  withMenuItemPhoto
+};
@@ -0,0 +1,26 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Store an in-app notification for a user (read through /api/notifications).
+// Failures are logged, never thrown, so a notification can't break the action itself.
+const notifyUser = async ({ userId, type, title, message = null, data = null }) => {
+  const { error } = await supabaseAdmin
+    .from('notifications')
+    .insert([
+      {
+        user_id: userId,
+        type,
+        title,
+        message,
+        data,
+        created_at: new Date().toISOString()
+      }
+    ]);
+
+  if (error) {
+    console.error('Notification error:', error);
+  }
+};
+
+module.exports = {
+  notifyUser
+};
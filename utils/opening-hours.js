@@ -0,0 +1,177 @@
+// Weekly opening-hours model for vendors (vendors.opening_hours, user_profiles.business_hours).
+//
+// {
+//   "timezone": "Asia/Kolkata",
+//   "weekly": {
+//     "mon": [{ "open": "09:00", "close": "14:00" }, { "open": "18:00", "close": "02:00" }],
+//     "tue": [],                       // closed all day (missing days are closed too)
+//     ...
+//   },
+//   "overrides": [
+//     { "date": "2026-11-01", "closed": true, "note": "Diwali" },
+//     { "date": "2026-11-02", "slots": [{ "open": "12:00", "close": "16:00" }] }
+//   ]
+// }
+//
+// Times are HH:MM in IST. A slot whose close is earlier than its open runs past
+// midnight into the next day; "24:00" closes at midnight.
+
+const TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET_MINUTES = 330; // UTC+05:30, no daylight saving
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = MINUTES_PER_DAY * MS_PER_MINUTE;
+const MAX_SLOTS_PER_DAY = 6;
+const LOOKAHEAD_DAYS = 14;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const validateSlots = (slots, label) => {
+  if (!Array.isArray(slots)) {
+    return `${label} must be an array of { open, close } slots`;
+  }
+  if (slots.length > MAX_SLOTS_PER_DAY) {
+    return `${label} can have at most ${MAX_SLOTS_PER_DAY} slots`;
+  }
+  for (const slot of slots) {
+    if (!slot || !TIME_PATTERN.test(slot.open) || !TIME_PATTERN.test(slot.close) || slot.open === '24:00') {
+      return `${label} slots need open and close times as HH:MM`;
+    }
+    if (slot.open === slot.close) {
+      return `${label} slot open and close times cannot be the same`;
+    }
+  }
+  return null;
+};
+
+// Returns an error message for an invalid schedule, or null
+const validateOpeningHours = (hours) => {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    return 'opening_hours must be an object';
+  }
+
+  if (hours.timezone !== undefined && hours.timezone !== TIMEZONE) {
+    return `opening_hours.timezone must be ${TIMEZONE}`;
+  }
+
+  if (!hours.weekly || typeof hours.weekly !== 'object' || Array.isArray(hours.weekly)) {
+    return 'opening_hours.weekly is required';
+  }
+
+  for (const [day, slots] of Object.entries(hours.weekly)) {
+    if (!DAYS.includes(day)) {
+      return `opening_hours.weekly has unknown day "${day}" (use ${DAYS.join(', ')})`;
+    }
+    const error = validateSlots(slots, `opening_hours.weekly.${day}`);
+    if (error) {
+      return error;
+    }
+  }
+
+  if (hours.overrides !== undefined) {
+    if (!Array.isArray(hours.overrides)) {
+      return 'opening_hours.overrides must be an array';
+    }
+    for (const override of hours.overrides) {
+      if (!override || !DATE_PATTERN.test(override.date) || isNaN(Date.parse(override.date))) {
+        return 'opening_hours.overrides need a date as YYYY-MM-DD';
+      }
+      if (!override.closed) {
+        const error = validateSlots(override.slots, `opening_hours.overrides[${override.date}]`);
+        if (error) {
+          return error;
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// Schedule with timezone filled in, ready to store
+const normalizeOpeningHours = (hours) => ({
+  timezone: TIMEZONE,
+  weekly: hours.weekly,
+  overrides: hours.overrides || []
+});
+
+// IST calendar day number (days since epoch) and minute of day for a UTC date
+const istParts = (date) => {
+  const localMs = date.getTime() + IST_OFFSET_MINUTES * MS_PER_MINUTE;
+  const dayNumber = Math.floor(localMs / MS_PER_DAY);
+  return { dayNumber, minute: Math.floor((localMs - dayNumber * MS_PER_DAY) / MS_PER_MINUTE) };
+};
+
+// Slots for an IST day as [start, end) minutes from that day's midnight; end may exceed a day
+const slotsForDay = (hours, dayNumber) => {
+  const day = new Date(dayNumber * MS_PER_DAY);
+  const isoDate = day.toISOString().slice(0, 10);
+  const override = (hours.overrides || []).find(item => item.date === isoDate);
+
+  const slots = override
+    ? (override.closed ? [] : override.slots)
+    : (hours.weekly?.[DAYS[day.getUTCDay()]] || []);
+
+  return slots
+    .map(slot => {
+      const start = toMinutes(slot.open);
+      const close = toMinutes(slot.close);
+      return { start, end: close > start ? close : close + MINUTES_PER_DAY };
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+const isOpenAt = (hours, date) => {
+  const { dayNumber, minute } = istParts(date);
+
+  // Today's slots, plus yesterday's slots that ran past midnight
+  return slotsForDay(hours, dayNumber).some(slot => minute >= slot.start && minute < slot.end) ||
+    slotsForDay(hours, dayNumber - 1).some(slot => minute + MINUTES_PER_DAY < slot.end);
+};
+
+// Start of the next slot after `date` as an ISO string, or null if none in the lookahead
+const nextOpeningAfter = (hours, date) => {
+  const { dayNumber, minute } = istParts(date);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const slot = slotsForDay(hours, dayNumber + offset)
+      .find(item => offset > 0 || item.start > minute);
+
+    if (slot) {
+      const utcMs = (dayNumber + offset) * MS_PER_DAY + (slot.start - IST_OFFSET_MINUTES) * MS_PER_MINUTE;
+      return new Date(utcMs).toISOString();
+    }
+  }
+
+  return null;
+};
+
+// { is_open_now, next_opening } for a vendor response; unknown when no valid schedule is stored
+const openingStatus = (hours, now = new Date()) => {
+  if (!hours || validateOpeningHours(hours)) {
+    return { is_open_now: null, next_opening: null };
+  }
+
+  const isOpen = isOpenAt(hours, now);
+
+  return {
+    is_open_now: isOpen,
+    next_opening: isOpen ? null : nextOpeningAfter(hours, now)
+  };
+};
+
+module.exports = {
+  TIMEZONE,
+  validateOpeningHours,
+  normalizeOpeningHours,
+  isOpenAt,
+  nextOpeningAfter,
+  openingStatus
+};
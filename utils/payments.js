@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Payment providers share one interface:
+//   name                                  stored as payment_provider / payment_method
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency }
+//   checkoutOptions(order)                data the app needs to open checkout
+//   verifyPayment({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhook(rawBody, headers)       -> boolean
+//   parseWebhook(body, headers)           -> { eventId, type, orderId, paymentId }
+//   refund({ paymentId, amount, notes })  -> { id, amount }
+// Amounts are in the smallest currency unit (paise), like Razorpay's API.
+// Webhook types are normalised to 'payment.captured' and 'payment.failed'; others pass through.
+
+// HMAC-SHA256 hex digest
+const hmac = (secret, payload) => crypto
+  .createHmac('sha256', secret)
+  .update(payload)
+  .digest('hex');
+
+// Constant-time comparison of hex signatures; anything that isn't a SHA-256 hex digest
+// is rejected up front so timingSafeEqual always gets equal-length buffers
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || !/^[0-9a-f]{64}$/i.test(received)) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received.toLowerCase()));
+};
+
+// Razorpay: orders API + checkout.js; payment signature is HMAC(order_id|payment_id, key_secret)
+const createRazorpayProvider = ({ keyId, keySecret, webhookSecret }) => {
+  if (!keyId || !keySecret) {
+    throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are required for the razorpay payment provider');
+  }
+
+  const client = axios.create({
+    baseURL: 'https://api.razorpay.com/v1',
+    auth: { username: keyId, password: keySecret },
+    timeout: 10000
+  });
+
+  return {
+    name: 'razorpay',
+
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+      const { data } = await client.post('/orders', { amount, currency, receipt, notes });
+      return { id: data.id, amount: data.amount, currency: data.currency };
+    },
+
+    checkoutOptions: (order) => ({
+      provider: 'razorpay',
+      key: keyId,
+      order_id: order.id,
+      amount: order.amount,
+      currency: order.currency
+    }),
+
+    verifyPayment: ({ orderId, paymentId, signature }) =>
+      signaturesMatch(hmac(keySecret, `${orderId}|${paymentId}`), signature),
+
+    refund: async ({ paymentId, amount, notes }) => {
+      const { data } = await client.post(`/payments/${paymentId}/refund`, { amount, notes });
+      return { id: data.id, amount: data.amount };
+    },
+
+    verifyWebhook: (rawBody, headers) => Boolean(webhookSecret) && Boolean(rawBody) &&
+      signaturesMatch(hmac(webhookSecret, rawBody), headers['x-razorpay-signature']),
+
+    parseWebhook: (body, headers) => {
+      const payment = body.payload?.payment?.entity || {};
+      const type = body.event === 'order.paid' ? 'payment.captured' : body.event;
+      return {
+        eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment.id}`,
+        type,
+        orderId: payment.order_id || body.payload?.order?.entity?.id,
+        paymentId: payment.id
+      };
+    }
+  };
+};
+
+// Local provider for development and tests: no network, same signature scheme as
+// Razorpay with a configured secret. Checkout options include a ready-made payment id and
+// signature so a client can complete the verify step without a real gateway, which is
+// why getPaymentProvider refuses it in production.
+const createFakeProvider = ({ secret }) => {
+  if (!secret) {
+    throw new Error('FAKE_PAYMENT_SECRET is required for the fake payment provider');
+  }
+
+  const randomId = (prefix) => `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`;
+
+  const signPayment = (orderId, paymentId) => hmac(secret, `${orderId}|${paymentId}`);
+
+  return {
+    name: 'fake',
+
+    createOrder: async ({ amount, currency }) => ({ id: randomId('order'), amount, currency }),
+
+    checkoutOptions: (order) => {
+      const paymentId = randomId('pay');
+      return {
+        provider: 'fake',
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        test_payment: {
+          payment_id: paymentId,
+          signature: signPayment(order.id, paymentId)
+        }
+      };
+    },
+
+    verifyPayment: ({ orderId, paymentId, signature }) =>
+      signaturesMatch(signPayment(orderId, paymentId), signature),
+
+    refund: async ({ amount }) => ({ id: randomId('rfnd'), amount }),
+
+    // Webhooks are signed with the same secret: x-fake-signature = HMAC(raw body)
+    verifyWebhook: (rawBody, headers) => Boolean(rawBody) &&
+      signaturesMatch(hmac(secret, rawBody), headers['x-fake-signature']),
+
+    parseWebhook: (body) => ({
+      eventId: body.id,
+      type: body.event,
+      orderId: body.order_id,
+      paymentId: body.payment_id
+    })
+  };
+};
+
+const PROVIDERS = {
+  razorpay: () => createRazorpayProvider({
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+  }),
+  fake: () => createFakeProvider({
+    secret: process.env.FAKE_PAYMENT_SECRET
+  })
+};
+
+let provider = null;
+
+// The provider selected by PAYMENT_PROVIDER, created on first use. There is no default:
+// a deploy that forgot to configure payments must fail rather than give promotions away.
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER;
+
+    if (!name) {
+      throw new Error('PAYMENT_PROVIDER is not set');
+    }
+
+    if (!Object.hasOwn(PROVIDERS, name)) {
+      throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      if (name === 'fake') {
+        throw new Error('The fake payment provider cannot be used in production');
+      }
+      if (name === 'razorpay' && !process.env.RAZORPAY_WEBHOOK_SECRET) {
+        throw new Error('RAZORPAY_WEBHOOK_SECRET is required in production');
+      }
+    }
+
+    provider = PROVIDERS[name]();
+  }
+
+  return provider;
+};
+
+// Rupees to paise for provider amounts
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+module.exports = {
+  createRazorpayProvider,
+  createFakeProvider,
+  getPaymentProvider,
+  toPaise
+};
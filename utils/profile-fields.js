@@ -0,0 +1,128 @@
+// Profile fields for user_profiles, grouped by the role that owns them.
+// Used by signup and profile updates so both validate the same way.
+
+const { validateOpeningHours } = require('./opening-hours');
+
+const SIGNUP_ROLES = ['user', 'vendor', 'vlogger'];
+
+const COMMON_FIELDS = ['full_name', 'phone', 'bio', 'location_city', 'location_state'];
+
+const ROLE_FIELDS = {
+  user: [],
+  admin: [],
+  vendor: [
+    'business_name',
+    'business_address',
+    'business_phone',
+    'cuisine_type',
+    'business_hours',
+    'specialties'
+  ],
+  vlogger: [
+    'youtube_channel',
+    'instagram_handle',
+    'subscriber_count',
+    'content_category'
+  ]
+};
+
+// Max lengths mirror the VARCHAR sizes in database/user_profiles.sql
+const MAX_LENGTHS = {
+  full_name: 255,
+  phone: 20,
+  bio: 1000,
+  location_city: 100,
+  location_state: 100,
+  business_name: 255,
+  business_address: 500,
+  business_phone: 20,
+  cuisine_type: 100,
+  youtube_channel: 255,
+  instagram_handle: 255,
+  content_category: 100
+};
+
+const PHONE_PATTERN = /^\+?[0-9\s-]{7,20}$/;
+
+// Fields a user with the given role is allowed to write
+const allowedFields = (role) => [...COMMON_FIELDS, ...(ROLE_FIELDS[role] || [])];
+
+// Keep only the whitelisted fields that are present in data
+const pickProfileFields = (role, data) => {
+  const picked = {};
+  for (const field of allowedFields(role)) {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+  }
+  return picked;
+};
+
+// Returns an error message for the first invalid field, or null
+const validateProfileFields = (fields) => {
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) {
+      continue;
+    }
+
+    if (MAX_LENGTHS[field]) {
+      if (typeof value !== 'string') {
+        return `${field} must be a string`;
+      }
+      if (value.length > MAX_LENGTHS[field]) {
+        return `${field} must be at most ${MAX_LENGTHS[field]} characters`;
+      }
+    }
+
+    if ((field === 'phone' || field === 'business_phone') && !PHONE_PATTERN.test(value)) {
+      return `${field} is not a valid phone number`;
+    }
+
+    if (field === 'specialties') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return 'specialties must be an array of strings';
+      }
+    }
+
+    if (field === 'business_hours') {
+      const hoursError = validateOpeningHours(value);
+      if (hoursError) {
+        return hoursError.replace(/opening_hours/g, 'business_hours');
+      }
+    }
+
+    if (field === 'subscriber_count' && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+      return 'subscriber_count must be a non-negative integer';
+    }
+  }
+
+  return null;
+};
+
+// Role-specific fields required at signup
+const validateSignupFields = (role, fields) => {
+  if (role === 'vendor') {
+    if (!fields.business_name || !fields.business_address || !fields.location_city || !fields.cuisine_type) {
+      return 'Vendors ke liye business_name, business_address, location_city aur cuisine_type required hain';
+    }
+  }
+
+  if (role === 'vlogger') {
+    if (!fields.youtube_channel && !fields.instagram_handle) {
+      return 'Vloggers ke liye youtube_channel ya instagram_handle required hai';
+    }
+  }
+
+  return validateProfileFields(fields);
+};
+
+module.exports = {
+  SIGNUP_ROLES,
+  COMMON_FIELDS,
+  ROLE_FIELDS,
+  MAX_LENGTHS,
+  allowedFields,
+  pickProfileFields,
+  validateProfileFields,
+  validateSignupFields
+};
@@ -0,0 +1,714 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { notifyUser } = require('./notifications');
+const { getPaymentProvider, toPaise } = require('./payments');
+const refundPolicy = require('../config/promotion-refunds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Durations of purchases made before packages stored duration_days
+const LEGACY_DURATION_DAYS = { '1 Month': 30, '3 Months': 90, '6 Months': 180 };
+
+// Length of a promotion in days
+const promotionDays = (promotion) =>
+  promotion.duration_days || LEGACY_DURATION_DAYS[promotion.package_duration] || 30;
+
+// Display label for a duration ("1 Month", "3 Months", "45 Days")
+const durationLabel = (days) => {
+  if (days % 30 === 0) {
+    const months = days / 30;
+    return `${months} Month${months > 1 ? 's' : ''}`;
+  }
+  return `${days} Day${days > 1 ? 's' : ''}`;
+};
+
+// End of a promotion period of `days` days starting at `start`
+const promotionEndDate = (start, days) => new Date(new Date(start).getTime() + days * DAY_MS);
+
+// Round rupee amounts to paise precision
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// What the current period (start_date..end_date) was paid for; rows from before
+// period_value existed fall back to the package price
+const periodValue = (promotion) => Number(promotion.period_value ?? promotion.package_price) || 0;
+
+// Unused share of the period value at `now`
+const remainingValue = (promotion, now = new Date()) => {
+  const start = new Date(promotion.start_date).getTime();
+  const end = new Date(promotion.end_date).getTime();
+
+  if (!(end > start)) {
+    return 0;
+  }
+
+  const left = Math.min(Math.max(end - now.getTime(), 0), end - start);
+  return roundAmount(periodValue(promotion) * (left / (end - start)));
+};
+
+// Refund owed for cancelling an active promotion at `now`, per config/promotion-refunds.js:
+// the whole period value inside the full-refund window, otherwise the unused share less
+// the cancellation fee
+const computeRefund = (promotion, now = new Date()) => {
+  if (refundPolicy.policy === 'none') {
+    return 0;
+  }
+
+  const sinceStart = now.getTime() - new Date(promotion.start_date).getTime();
+
+  if (sinceStart <= refundPolicy.fullRefundHours * 60 * 60 * 1000) {
+    return roundAmount(periodValue(promotion));
+  }
+
+  return roundAmount(remainingValue(promotion, now) * (1 - refundPolicy.cancellationFeePercent / 100));
+};
+
+// Add a row to the promotion_transactions ledger
+const recordTransaction = async (fields) => {
+  const { data, error } = await supabaseAdmin
+    .from('promotion_transactions')
+    .insert([{ ...fields, created_at: new Date().toISOString() }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Refund `amount` (INR) of a captured payment and record it as a refund transaction;
+// a gateway failure is recorded as a failed refund for admins to settle by hand.
+// Returns true if the money went back.
+const refundPayment = async ({ promotion, paymentId, amount, reason }) => {
+  const provider = getPaymentProvider();
+  const entry = {
+    promotion_id: promotion.id,
+    vendor_id: promotion.vendor_id,
+    type: 'refund',
+    amount,
+    package_id: promotion.package_id,
+    provider: provider.name,
+    payment_id: paymentId
+  };
+
+  try {
+    const refund = await provider.refund({
+      paymentId,
+      amount: toPaise(amount),
+      notes: { promotion_id: promotion.id, reason }
+    });
+
+    await recordTransaction({
+      ...entry,
+      status: 'completed',
+      refund_id: refund.id,
+      details: { reason },
+      completed_at: new Date().toISOString()
+    });
+
+    return true;
+  } catch (refundError) {
+    const detail = refundError.response?.data || refundError.message;
+    console.error('Promotion refund error:', detail);
+
+    await recordTransaction({
+      ...entry,
+      status: 'failed',
+      details: { reason, error: detail }
+    }).catch((ledgerError) => console.error('Promotion ledger error:', ledgerError));
+
+    return false;
+  }
+};
+
+// Give back a payment captured for something that can no longer be applied: a purchase,
+// upgrade or renewal cancelled before it was paid, or a purchase paid while the vendor
+// already had an active promotion. Payments that already have a refund transaction are
+// not refunded again, so the verify callback and the webhook can both call this.
+// Returns true if the payment has been refunded.
+const refundUnappliedPayment = async ({ promotion, paymentId, amount, reason }) => {
+  const { data: existing, error } = await supabaseAdmin
+    .from('promotion_transactions')
+    .select('status')
+    .eq('type', 'refund')
+    .eq('payment_id', paymentId);
+
+  if (error) {
+    throw error;
+  }
+
+  if (existing.length > 0) {
+    return existing.some((entry) => entry.status === 'completed');
+  }
+
+  if (!(Number(amount) > 0)) {
+    return false;
+  }
+
+  const refunded = await refundPayment({ promotion, paymentId, amount: Number(amount), reason });
+
+  if (promotion.status === 'cancelled') {
+    const { error: updateError } = await supabaseAdmin
+      .from('vendor_promotions')
+      .update({ payment_id: paymentId, payment_status: refunded ? 'refunded' : 'completed' })
+      .eq('id', promotion.id)
+      .eq('status', 'cancelled');
+
+    if (updateError) {
+      console.error('Error saving promotion refund:', updateError);
+    }
+  }
+
+  return refunded;
+};
+
+// Feature a promotion's vendor at its tier until the promotion ends
+const featureVendor = async (promotion) => {
+  const { error } = await supabaseAdmin
+    .from('vendors')
+    .update({
+      is_featured: true,
+      promotion_tier: promotion.package_id,
+      featured_until: promotion.end_date,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', promotion.vendor_id);
+
+  if (error) {
+    console.error('Error updating vendor profile:', error);
+  }
+};
+
+// Start a paid promotion now and feature its vendor until the end date.
+// Only promotions still pending_payment are activated, so repeated callbacks for the
+// same payment are harmless. Returns the activated row, or null if nothing changed.
+const activatePromotion = async (promotion, paymentId) => {
+  const startDate = new Date();
+  const endDate = promotionEndDate(startDate, promotionDays(promotion));
+
+  // Never stack promotions: if another one went live since this purchase started, cancel
+  // this one and refund the payment
+  const { data: live, error: liveError } = await supabaseAdmin
+    .from('vendor_promotions')
+    .select('id')
+    .eq('vendor_id', promotion.vendor_id)
+    .eq('status', 'active')
+    .gt('end_date', startDate.toISOString())
+    .neq('id', promotion.id)
+    .limit(1);
+
+  if (liveError) {
+    throw liveError;
+  }
+
+  if (live.length > 0) {
+    const { data: cancelled, error: cancelError } = await supabaseAdmin
+      .from('vendor_promotions')
+      .update({ status: 'cancelled', cancelled_at: startDate.toISOString() })
+      .eq('id', promotion.id)
+      .eq('status', 'pending_payment')
+      .select()
+      .maybeSingle();
+
+    if (cancelError) {
+      throw cancelError;
+    }
+
+    if (cancelled) {
+      await refundUnappliedPayment({
+        promotion: cancelled,
+        paymentId,
+        amount: cancelled.package_price,
+        reason: 'promotion_already_active'
+      });
+    }
+
+    return null;
+  }
+
+  const { data: activated, error } = await supabaseAdmin
+    .from('vendor_promotions')
+    .update({
+      status: 'active',
+      payment_status: 'completed',
+      payment_id: paymentId,
+      paid_at: startDate.toISOString(),
+      start_date: startDate.toISOString(),
+      end_date: endDate.toISOString(),
+      period_value: promotion.package_price
+    })
+    .eq('id', promotion.id)
+    .eq('status', 'pending_payment')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!activated) {
+    return null;
+  }
+
+  await featureVendor(activated);
+
+  try {
+    await recordTransaction({
+      promotion_id: activated.id,
+      vendor_id: activated.vendor_id,
+      type: 'purchase',
+      status: 'completed',
+      amount: activated.package_price,
+      package_id: activated.package_id,
+      provider: activated.payment_provider,
+      order_id: activated.payment_order_id,
+      payment_id: paymentId,
+      completed_at: startDate.toISOString()
+    });
+  } catch (ledgerError) {
+    // The promotion is paid and live either way; refunds fall back to its payment_id
+    console.error('Promotion ledger error:', ledgerError);
+  }
+
+  return activated;
+};
+
+// Open a pending upgrade or renewal charge for `pkg` and its payment order. The change
+// is applied by applyPaidChange once the order is paid (verify callback or webhook).
+// Returns { transaction, payment } with the checkout options, or payment null if the
+// gateway couldn't create the order.
+const startPaidChange = async ({ promotion, type, pkg, amount, credit = 0 }) => {
+  const provider = getPaymentProvider();
+
+  const transaction = await recordTransaction({
+    promotion_id: promotion.id,
+    vendor_id: promotion.vendor_id,
+    type,
+    status: 'pending',
+    amount,
+    credit,
+    package_id: pkg.id,
+    provider: provider.name,
+    details: {
+      package_name: pkg.name,
+      package_price: Number(pkg.price),
+      duration_days: pkg.duration_days
+    }
+  });
+
+  let order;
+  try {
+    order = await provider.createOrder({
+      amount: toPaise(amount),
+      currency: 'INR',
+      receipt: transaction.id,
+      notes: { promotion_id: promotion.id, transaction_id: transaction.id, type }
+    });
+  } catch (orderError) {
+    console.error('Payment order error:', orderError.response?.data || orderError.message);
+
+    await supabaseAdmin
+      .from('promotion_transactions')
+      .update({ status: 'failed' })
+      .eq('id', transaction.id);
+
+    return { transaction, payment: null };
+  }
+
+  const { data: pending, error } = await supabaseAdmin
+    .from('promotion_transactions')
+    .update({ order_id: order.id })
+    .eq('id', transaction.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { transaction: pending, payment: provider.checkoutOptions(order) };
+};
+
+// Why a paid change can't be applied to the promotion as it is now, or null if it can:
+// a renewal opened for a package the promotion has since upgraded away from, or a lapsed
+// promotion that would be revived while another one of the vendor's is live
+const refuseChangeReason = async (transaction, promotion, now) => {
+  if (transaction.type === 'renewal' && String(transaction.package_id) !== String(promotion.package_id)) {
+    return 'renewal_package_changed';
+  }
+
+  const lapsed = promotion.status !== 'active' || new Date(promotion.end_date) <= now;
+
+  if (!lapsed) {
+    return null;
+  }
+
+  const { data: live, error } = await supabaseAdmin
+    .from('vendor_promotions')
+    .select('id')
+    .eq('vendor_id', promotion.vendor_id)
+    .eq('status', 'active')
+    .gt('end_date', now.toISOString())
+    .neq('id', promotion.id)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return live.length > 0 ? 'promotion_already_active' : null;
+};
+
+// Apply a paid upgrade or renewal to its promotion and re-feature the vendor.
+// Upgrades switch package and start a fresh period now, cancelling the promotion's other
+// unpaid changes; renewals add one period of the package to the current end date (or to
+// now if the promotion already lapsed). Changes that no longer fit the promotion (see
+// refuseChangeReason) are cancelled and their payment refunded.
+// Only pending transactions are applied, so repeated callbacks are harmless. Returns
+// { promotion } when applied, { refused, refunded } when refused, or null if the
+// transaction was already handled.
+const applyPaidChange = async (transaction, paymentId) => {
+  const now = new Date();
+
+  const { data: claimed, error } = await supabaseAdmin
+    .from('promotion_transactions')
+    .update({ status: 'completed', payment_id: paymentId, completed_at: now.toISOString() })
+    .eq('id', transaction.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    const { data: promotion, error: loadError } = await supabaseAdmin
+      .from('vendor_promotions')
+      .select('*')
+      .eq('id', claimed.promotion_id)
+      .single();
+
+    if (loadError) {
+      throw loadError;
+    }
+
+    const refused = await refuseChangeReason(claimed, promotion, now);
+
+    if (refused) {
+      const { error: cancelError } = await supabaseAdmin
+        .from('promotion_transactions')
+        .update({ status: 'cancelled' })
+        .eq('id', claimed.id);
+
+      if (cancelError) {
+        throw cancelError;
+      }
+
+      const refunded = paymentId
+        ? await refundUnappliedPayment({ promotion, paymentId, amount: claimed.amount, reason: refused })
+        : false;
+
+      return { refused, refunded };
+    }
+
+    const { package_name, package_price, duration_days } = claimed.details;
+    const lapsed = promotion.status !== 'active' || new Date(promotion.end_date) <= now;
+    let changes;
+
+    if (claimed.type === 'upgrade') {
+      changes = {
+        package_id: claimed.package_id,
+        package_name,
+        package_price,
+        package_duration: durationLabel(duration_days),
+        duration_days,
+        start_date: now.toISOString(),
+        end_date: promotionEndDate(now, duration_days).toISOString(),
+        period_value: package_price
+      };
+    } else if (lapsed) {
+      changes = {
+        start_date: now.toISOString(),
+        end_date: promotionEndDate(now, duration_days).toISOString(),
+        period_value: package_price
+      };
+    } else {
+      changes = {
+        end_date: promotionEndDate(promotion.end_date, duration_days).toISOString(),
+        period_value: roundAmount(periodValue(promotion) + package_price)
+      };
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('vendor_promotions')
+      .update({ ...changes, status: 'active', reminder_sent_at: null })
+      .eq('id', promotion.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    await featureVendor(updated);
+
+    if (claimed.type === 'upgrade') {
+      // Orders opened for the old package can no longer be applied
+      const { error: staleError } = await supabaseAdmin
+        .from('promotion_transactions')
+        .update({ status: 'cancelled' })
+        .eq('promotion_id', promotion.id)
+        .in('type', ['upgrade', 'renewal'])
+        .eq('status', 'pending')
+        .neq('id', claimed.id);
+
+      if (staleError) {
+        console.error('Error cancelling pending promotion changes:', staleError);
+      }
+    }
+
+    return { promotion: updated };
+  } catch (applyError) {
+    // Release the claim so a retried callback applies the change
+    await supabaseAdmin
+      .from('promotion_transactions')
+      .update({ status: 'pending', payment_id: null, completed_at: null })
+      .eq('id', claimed.id);
+    throw applyError;
+  }
+};
+
+// Days before end_date that the owner is reminded a promotion is ending
+const REMINDER_DAYS = parseInt(process.env.PROMOTION_REMINDER_DAYS || '3', 10);
+
+// Mark active promotions past end_date as expired, cancel their unpaid upgrades and
+// renewals, and stop featuring vendors whose featured_until has passed. Returns counts
+// for the job log.
+const expirePromotions = async (now = new Date()) => {
+  const { data: expired, error } = await supabaseAdmin
+    .from('vendor_promotions')
+    .update({ status: 'expired' })
+    .eq('status', 'active')
+    .lt('end_date', now.toISOString())
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  // An expired promotion can't be upgraded or renewed; payments that still arrive for
+  // these orders are refunded (see handlePaymentEvent)
+  let cancelledChanges = [];
+  if (expired.length > 0) {
+    const { data: cancelled, error: transactionError } = await supabaseAdmin
+      .from('promotion_transactions')
+      .update({ status: 'cancelled' })
+      .in('promotion_id', expired.map((promotion) => promotion.id))
+      .in('type', ['upgrade', 'renewal'])
+      .eq('status', 'pending')
+      .select('id');
+
+    if (transactionError) {
+      throw transactionError;
+    }
+
+    cancelledChanges = cancelled;
+  }
+
+  // featured_until follows the promotion end date (and admin-set featuring), so it's
+  // the one check that covers both
+  const { data: unfeatured, error: vendorError } = await supabaseAdmin
+    .from('vendors')
+    .update({
+      is_featured: false,
+      promotion_tier: null,
+      featured_until: null,
+      updated_at: now.toISOString()
+    })
+    .eq('is_featured', true)
+    .lt('featured_until', now.toISOString())
+    .select('id');
+
+  if (vendorError) {
+    throw vendorError;
+  }
+
+  return {
+    expired: expired.length,
+    changes_cancelled: cancelledChanges.length,
+    unfeatured: unfeatured.length
+  };
+};
+
+// Notify vendor owners once when an active promotion is about to end
+const sendExpiryReminders = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() + REMINDER_DAYS * DAY_MS);
+
+  const { data: ending, error } = await supabaseAdmin
+    .from('vendor_promotions')
+    .select('id, vendor_id, package_name, end_date, vendors(name, owner_id)')
+    .eq('status', 'active')
+    .eq('auto_renew', false)
+    .is('reminder_sent_at', null)
+    .gte('end_date', now.toISOString())
+    .lte('end_date', cutoff.toISOString());
+
+  if (error) {
+    throw error;
+  }
+
+  let reminded = 0;
+
+  for (const promotion of ending) {
+    // Claim the reminder first so overlapping runs don't notify twice
+    const { data: claimed } = await supabaseAdmin
+      .from('vendor_promotions')
+      .update({ reminder_sent_at: now.toISOString() })
+      .eq('id', promotion.id)
+      .is('reminder_sent_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (!claimed || !promotion.vendors?.owner_id) {
+      continue;
+    }
+
+    await notifyUser({
+      userId: promotion.vendors.owner_id,
+      type: 'promotion_expiring',
+      title: `${promotion.package_name} for ${promotion.vendors.name} ends soon`,
+      message: `Your promotion ends on ${new Date(promotion.end_date).toDateString()}. Renew to stay featured.`,
+      data: { promotion_id: promotion.id, vendor_id: promotion.vendor_id, end_date: promotion.end_date }
+    });
+    reminded += 1;
+  }
+
+  return { reminded };
+};
+
+// Start renewals for auto-renew promotions ending within the reminder window. Payments
+// aren't charged off-session, so each renewal opens an order and the owner is notified
+// to pay it; the renewal applies like a manual one once paid.
+const processAutoRenewals = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() + REMINDER_DAYS * DAY_MS);
+
+  const { data: due, error } = await supabaseAdmin
+    .from('vendor_promotions')
+    .select('*, vendors(name, owner_id), promotion_transactions(type, status)')
+    .eq('status', 'active')
+    .eq('auto_renew', true)
+    .gte('end_date', now.toISOString())
+    .lte('end_date', cutoff.toISOString());
+
+  if (error) {
+    throw error;
+  }
+
+  let renewalsStarted = 0;
+
+  for (const { vendors: vendor, promotion_transactions: ledger, ...promotion } of due) {
+    const hasPendingRenewal = (ledger || [])
+      .some((transaction) => transaction.type === 'renewal' && transaction.status === 'pending');
+
+    if (hasPendingRenewal) {
+      continue;
+    }
+
+    const { data: pkg } = await supabaseAdmin
+      .from('promotion_packages')
+      .select('*')
+      .eq('id', promotion.package_id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (!pkg) {
+      console.error(`Auto-renew skipped for promotion ${promotion.id}: package ${promotion.package_id} unavailable`);
+      continue;
+    }
+
+    const { transaction, payment } = await startPaidChange({
+      promotion,
+      type: 'renewal',
+      pkg,
+      amount: Number(pkg.price)
+    });
+
+    if (!payment) {
+      continue;
+    }
+
+    renewalsStarted += 1;
+
+    if (vendor?.owner_id) {
+      await notifyUser({
+        userId: vendor.owner_id,
+        type: 'promotion_renewal_due',
+        title: `Renew ${promotion.package_name} for ${vendor.name}`,
+        message: `Your promotion ends on ${new Date(promotion.end_date).toDateString()}. Complete the renewal payment to stay featured.`,
+        data: {
+          promotion_id: promotion.id,
+          vendor_id: promotion.vendor_id,
+          transaction_id: transaction.id,
+          payment
+        }
+      });
+    }
+  }
+
+  return { renewals_started: renewalsStarted };
+};
+
+// Everything the promotions job does on each run
+const runPromotionJobs = async (now = new Date()) => ({
+  ...await expirePromotions(now),
+  ...await sendExpiryReminders(now),
+  ...await processAutoRenewals(now)
+});
+
+// Count sponsored impressions or clicks ('impression' | 'click') for today, per promotion.
+// Failures are logged, never thrown, so counting can't break the listing itself.
+const recordPromotionEvents = async (promotionIds, kind) => {
+  if (promotionIds.length === 0) {
+    return;
+  }
+
+  try {
+    const { error } = await supabaseAdmin.rpc('record_promotion_events', {
+      p_promotion_ids: promotionIds,
+      p_kind: kind
+    });
+
+    if (error) {
+      console.error('Promotion stats error:', error);
+    }
+  } catch (error) {
+    console.error('Promotion stats error:', error);
+  }
+};
+
+module.exports = {
+  DAY_MS,
+  promotionDays,
+  durationLabel,
+  promotionEndDate,
+  roundAmount,
+  periodValue,
+  remainingValue,
+  computeRefund,
+  recordTransaction,
+  refundPayment,
+  refundUnappliedPayment,
+  activatePromotion,
+  startPaidChange,
+  applyPaidChange,
+  expirePromotions,
+  sendExpiryReminders,
+  processAutoRenewals,
+  runPromotionJobs,
+  recordPromotionEvents
+};
@@ -0,0 +1,95 @@
+// Automatic flagging of new and edited reviews: profanity (English and Hinglish),
+// links, and text copied from another review. Flagged reviews wait for an admin.
+
+const { supabase } = require('../config/supabase');
+const { escapeLikePattern } = require('./search');
+
+// Whole words that are always abusive
+const PROFANE_WORDS = new Set([
+  // English
+  'fuck', 'fucker', 'fucking', 'shit', 'bullshit', 'bitch', 'bastard', 'asshole',
+  'dick', 'cunt', 'motherfucker', 'slut', 'whore', 'wanker',
+  // Hinglish
+  'chutiya', 'chutiye', 'chutia', 'madarchod', 'behenchod', 'bhenchod', 'bhosdike',
+  'bhosdi', 'bhosda', 'gandu', 'gaandu', 'harami', 'haramkhor', 'kamina', 'kamine',
+  'randi', 'lund', 'lauda', 'lavde', 'lodu', 'chodu', 'bakchod', 'jhaatu'
+]);
+
+// Stems that catch inflections and compounds (fuckin, chutiyapa, bhosdiwala, ...)
+const PROFANE_STEMS = ['fuck', 'shit', 'bitch', 'chutiy', 'chootiy', 'madarchod', 'behenchod', 'bhenchod', 'bhosd', 'randi'];
+
+const LEET_MAP = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|in|net|org|co|io|ly|me|app|link)\b/i;
+
+// Only fairly long texts count as duplicates; "Very tasty!" is legitimately common
+const MIN_DUPLICATE_LENGTH = 30;
+
+const normalizeText = (text) => text
+  .toLowerCase()
+  .replace(/[013457@$]/g, (char) => LEET_MAP[char])
+  .replace(/(.)\1{2,}/g, '$1$1'); // "fuuuuck" -> "fuuck"
+
+const containsProfanity = (text) => normalizeText(text)
+  .split(/[^a-z]+/)
+  .some(word => PROFANE_WORDS.has(word) ||
+    PROFANE_WORDS.has(word.replace(/(.)\1+/g, '$1')) ||
+    PROFANE_STEMS.some(stem => word.startsWith(stem)));
+
+const containsLink = (text) => LINK_PATTERN.test(text);
+
+// Another review with the same text (ignoring case and surrounding whitespace)
+const isDuplicate = async (text, reviewId) => {
+  const trimmed = text.trim();
+  if (trimmed.length < MIN_DUPLICATE_LENGTH) {
+    return false;
+  }
+
+  let query = supabase
+    .from('reviews')
+    .select('id')
+    .ilike('comment', escapeLikePattern(trimmed))
+    .limit(1);
+
+  if (reviewId) {
+    query = query.neq('id', reviewId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Duplicate review check error:', error);
+    return false;
+  }
+
+  return data.length > 0;
+};
+
+// Returns the reasons a review comment should be held for moderation ([] when clean)
+const detectReviewIssues = async (comment, reviewId = null) => {
+  if (!comment) {
+    return [];
+  }
+
+  const reasons = [];
+
+  if (containsProfanity(comment)) {
+    reasons.push('profanity');
+  }
+
+  if (containsLink(comment)) {
+    reasons.push('link');
+  }
+
+  if (await isDuplicate(comment, reviewId)) {
+    reasons.push('duplicate');
+  }
+
+  return reasons;
+};
+
+module.exports = {
+  containsProfanity,
+  containsLink,
+  detectReviewIssues
+};
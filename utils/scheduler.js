@@ -0,0 +1,62 @@
+const cron = require('node-cron');
+const { runPromotionJobs } = require('./promotions');
+
+// Periodic jobs. Long-running servers (server.js) schedule them with node-cron
+// (startScheduler) and admins can also trigger them with POST /api/admin/jobs/:name/run.
+// Serverless deployments can't keep timers alive: on Netlify, functions/api.js serves
+// server-minimal.js, which doesn't mount the admin routes, so jobs there run only from
+// the scheduled function functions/promotion-jobs.js.
+const JOBS = {
+  promotions: {
+    schedule: process.env.PROMOTION_JOBS_CRON || '*/15 * * * *',
+    run: runPromotionJobs
+  }
+};
+
+// Jobs currently running in this process, so a slow run isn't started twice
+const running = new Set();
+
+// Run one job now; returns its result, or null if it's already running here
+const runJob = async (name) => {
+  if (!Object.hasOwn(JOBS, name)) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (running.has(name)) {
+    return null;
+  }
+
+  running.add(name);
+  const startedAt = Date.now();
+
+  try {
+    const result = await JOBS[name].run();
+    console.log(`⏱️  Job ${name} finished in ${Date.now() - startedAt}ms`, result);
+    return result;
+  } finally {
+    running.delete(name);
+  }
+};
+
+// Schedule every job with node-cron (set SCHEDULER_ENABLED=false to turn off, e.g. when
+// several instances run and only one should sweep)
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏱️  Scheduler disabled');
+    return [];
+  }
+
+  return Object.entries(JOBS).map(([name, job]) => cron.schedule(job.schedule, async () => {
+    try {
+      await runJob(name);
+    } catch (error) {
+      console.error(`Job ${name} error:`, error);
+    }
+  }, { name }));
+};
+
+module.exports = {
+  JOBS,
+  runJob,
+  startScheduler
+};
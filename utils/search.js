@@ -0,0 +1,65 @@
+// Helpers for free-text vendor search
+
+const MAX_SEARCH_TERMS = 5;
+
+// Escape LIKE wildcards so user input only ever matches literally.
+// PostgREST also treats * as a wildcard in like/ilike, so it is dropped.
+const escapeLikePattern = (value) => value
+  .replace(/\*/g, '')
+  .replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Split a search string into lowercase words, dropping punctuation
+const searchWords = (search) => search
+  .toLowerCase()
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(word => word.length > 0)
+  .slice(0, MAX_SEARCH_TERMS);
+
+// Search words ready to use inside an ilike pattern
+const parseSearchTerms = (search) => searchWords(search).map(escapeLikePattern);
+
+// Score how well a vendor matches the search words; name matches weigh most
+const scoreVendor = (vendor, words) => {
+  const name = (vendor.name || '').toLowerCase();
+  const cuisine = (vendor.cuisine_type || '').toLowerCase();
+  const description = (vendor.description || '').toLowerCase();
+  const specialties = (vendor.specialties || []).map(item => item.toLowerCase());
+  const phrase = words.join(' ');
+
+  let score = 0;
+
+  if (name === phrase) {
+    score += 20;
+  } else if (name.startsWith(phrase)) {
+    score += 10;
+  }
+
+  for (const word of words) {
+    if (name.split(/\s+/).includes(word)) {
+      score += 6;
+    } else if (name.includes(word)) {
+      score += 4;
+    }
+
+    if (cuisine.includes(word)) {
+      score += 3;
+    }
+
+    if (specialties.some(item => item.includes(word))) {
+      score += 3;
+    }
+
+    if (description.includes(word)) {
+      score += 1;
+    }
+  }
+
+  return score;
+};
+
+module.exports = {
+  escapeLikePattern,
+  parseSearchTerms,
+  searchWords,
+  scoreVendor
+};